@@ -8,19 +8,32 @@
 // ENUMS
 // ============================================================================
 
+// Outside Apps Script (e.g. Node tests) enums fall back to their names, which
+// is what the in-memory backend uses
+function _enumValue(group, name) {
+  return typeof SpreadsheetApp !== "undefined"
+    ? SpreadsheetApp[group][name]
+    : name;
+}
+
 var WrapStrategy = Object.freeze({
-  WRAP: SpreadsheetApp.WrapStrategy.WRAP,
-  OVERFLOW: SpreadsheetApp.WrapStrategy.OVERFLOW,
-  CLIP: SpreadsheetApp.WrapStrategy.CLIP,
+  WRAP: _enumValue("WrapStrategy", "WRAP"),
+  OVERFLOW: _enumValue("WrapStrategy", "OVERFLOW"),
+  CLIP: _enumValue("WrapStrategy", "CLIP"),
 });
 
 var BorderStyle = Object.freeze({
-  DOTTED: SpreadsheetApp.BorderStyle.DOTTED,
-  DASHED: SpreadsheetApp.BorderStyle.DASHED,
-  SOLID: SpreadsheetApp.BorderStyle.SOLID,
-  SOLID_MEDIUM: SpreadsheetApp.BorderStyle.SOLID_MEDIUM,
-  SOLID_THICK: SpreadsheetApp.BorderStyle.SOLID_THICK,
-  DOUBLE: SpreadsheetApp.BorderStyle.DOUBLE,
+  DOTTED: _enumValue("BorderStyle", "DOTTED"),
+  DASHED: _enumValue("BorderStyle", "DASHED"),
+  SOLID: _enumValue("BorderStyle", "SOLID"),
+  SOLID_MEDIUM: _enumValue("BorderStyle", "SOLID_MEDIUM"),
+  SOLID_THICK: _enumValue("BorderStyle", "SOLID_THICK"),
+  DOUBLE: _enumValue("BorderStyle", "DOUBLE"),
+});
+
+var TextDirection = Object.freeze({
+  LEFT_TO_RIGHT: _enumValue("TextDirection", "LEFT_TO_RIGHT"),
+  RIGHT_TO_LEFT: _enumValue("TextDirection", "RIGHT_TO_LEFT"),
 });
 
 var HAlign = Object.freeze({
@@ -105,45 +118,168 @@ var _defaultStyle = {
   wrap: WrapStrategy.OVERFLOW,
   border: new Border(),
   rotation: 0,
+  verticalText: false,
+  textDirection: null,
+  // In spaces; see _paddedFormat
+  padding: {
+    left: 0,
+    right: 0,
+  },
+  numberFormat: null,
   width: null,
   height: null,
 };
 
 class Style {
-  constructor({
-    backgroundColor = null,
-    font = {},
-    alignment = {},
-    wrap = WrapStrategy.OVERFLOW,
-    border = new Border(),
-    rotation = 0,
-    width = null,
-    height = null,
-  } = {}) {
+  constructor(options = {}, theme = null) {
+    const {
+      backgroundColor = null,
+      font = {},
+      alignment = {},
+      wrap = WrapStrategy.OVERFLOW,
+      border = new Border(),
+      rotation = 0,
+      verticalText = false,
+      textDirection = null,
+      padding = {},
+      numberFormat = null,
+      width = null,
+      height = null,
+    } = theme ? theme.resolve(options) : options;
+
     this.backgroundColor = backgroundColor;
     this.font = { ..._defaultStyle.font, ...font };
     this.alignment = { ..._defaultStyle.alignment, ...alignment };
     this.wrap = wrap;
     this.border = border;
     this.rotation = rotation;
+    this.verticalText = verticalText;
+    this.textDirection = textDirection;
+    this.padding = { ..._defaultStyle.padding, ...padding };
+    this.numberFormat = numberFormat;
     this.width = width;
     this.height = height;
+
+    // Only explicitly set properties override inherited ones when merged.
+    // They keep their theme tokens so another theme can resolve them again.
+    Object.defineProperty(this, "_options", { value: options });
+    Object.defineProperty(this, "_theme", { value: theme });
     Object.freeze(this);
   }
 
+  // `child` may be a Style, plain options or the name of a theme style
   merge(child) {
     if (!child) return this;
-    return new Style({
-      backgroundColor: child.backgroundColor ?? this.backgroundColor,
-      font: { ...this.font, ...child.font },
-      alignment: { ...this.alignment, ...child.alignment },
-      wrap: child.wrap ?? this.wrap,
-      border: child.border ?? this.border,
-      rotation: child.rotation ?? this.rotation,
-      width: child.width ?? this.width,
-      height: child.height ?? this.height,
+    const overrides = _styleOptions(child, this._theme);
+    const options = { ...this._options };
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === null || value === undefined) continue;
+      options[key] = _nestedStyleKeys.includes(key)
+        ? { ...options[key], ...value }
+        : value;
+    }
+    return new Style(options, this._theme);
+  }
+
+  withTheme(theme) {
+    return new Style(this._options, theme);
+  }
+}
+
+// Style properties whose keys merge one by one
+var _nestedStyleKeys = ["font", "alignment", "padding"];
+
+function _styleOptions(style, theme) {
+  if (typeof style === "string") {
+    if (!theme) {
+      throw new Error(`Style "${style}" used outside a ThemeProvider`);
+    }
+    return theme.style(style);
+  }
+  return style instanceof Style ? style._options : style;
+}
+
+// Explicit options of a style with theme tokens replaced
+function _resolveStyleOptions(style, theme) {
+  const options = _styleOptions(style, theme);
+  return theme ? theme.resolve(options) : options;
+}
+
+// ============================================================================
+// THEME
+// ============================================================================
+
+// Palette entries may nest: { text: { muted } } defines the token "text.muted".
+// Colors and sizes that aren't tokens pass through, so "#ff0000" still works.
+class Theme {
+  constructor({ palette = {}, fontSizes = {}, styles = {} } = {}) {
+    this.palette = _flattenTokens(palette);
+    this.fontSizes = { ...fontSizes };
+    this.styles = { ...styles };
+    Object.freeze(this);
+  }
+
+  extend({ palette = {}, fontSizes = {}, styles = {} } = {}) {
+    return new Theme({
+      palette: { ...this.palette, ..._flattenTokens(palette) },
+      fontSizes: { ...this.fontSizes, ...fontSizes },
+      styles: { ...this.styles, ...styles },
     });
   }
+
+  color(token) {
+    return this.palette[token] ?? token;
+  }
+
+  fontSize(token) {
+    return this.fontSizes[token] ?? token;
+  }
+
+  style(name) {
+    const style = this.styles[name];
+    if (!style) throw new Error(`Theme has no style named "${name}"`);
+    return style instanceof Style ? style._options : style;
+  }
+
+  // Replaces tokens in Style options with concrete values
+  resolve(options) {
+    const resolved = { ...options };
+    if (options.backgroundColor) {
+      resolved.backgroundColor = this.color(options.backgroundColor);
+    }
+    if (options.font) {
+      resolved.font = { ...options.font };
+      if (options.font.color) {
+        resolved.font.color = this.color(options.font.color);
+      }
+      if (options.font.size) {
+        resolved.font.size = this.fontSize(options.font.size);
+      }
+    }
+    if (options.border) {
+      const side = (edge) => edge && { ...edge, color: this.color(edge.color) };
+      resolved.border = new Border({
+        top: side(options.border.top),
+        bottom: side(options.border.bottom),
+        left: side(options.border.left),
+        right: side(options.border.right),
+      });
+    }
+    return resolved;
+  }
+}
+
+function _flattenTokens(tokens, prefix = "") {
+  const flat = {};
+  for (const [name, value] of Object.entries(tokens)) {
+    if (value && typeof value === "object") {
+      Object.assign(flat, _flattenTokens(value, `${prefix}${name}.`));
+    } else {
+      flat[`${prefix}${name}`] = value;
+    }
+  }
+  return flat;
 }
 
 // ============================================================================
@@ -158,16 +294,30 @@ class Text {
   getDirectives() {
     return {};
   }
+
+  parse(raw) {
+    return raw === null || raw === undefined ? "" : String(raw);
+  }
 }
 
+// Without a format, the style's `numberFormat` applies
 class NumberCell {
-  constructor(value, format = "0") {
+  constructor(value, format = null) {
     this.value = value;
     this.format = format;
   }
 
-  getDirectives() {
-    return { numberFormat: this.format };
+  getDirectives(range, ctx, style) {
+    return { numberFormat: this.format || style?.numberFormat || "0" };
+  }
+
+  parse(raw) {
+    if (raw === "" || raw === null || raw === undefined) return null;
+    const number = typeof raw === "number" ? raw : Number(raw);
+    if (Number.isNaN(number)) {
+      throw new TypeError(`Expected a number, got "${raw}"`);
+    }
+    return number;
   }
 }
 
@@ -176,44 +326,142 @@ class Checkbox {
     this.value = checked;
   }
 
-  getDirectives() {
-    return {
-      validation: SpreadsheetApp.newDataValidation().requireCheckbox().build(),
-    };
+  getDirectives(range, ctx, style, app) {
+    return { validation: Validation.checkbox().build(range, ctx, app) };
+  }
+
+  parse(raw) {
+    if (typeof raw === "boolean") return raw;
+    if (raw === "" || raw === null || raw === undefined) return false;
+    if (String(raw).toUpperCase() === "TRUE") return true;
+    if (String(raw).toUpperCase() === "FALSE") return false;
+    throw new TypeError(`Expected a checkbox value, got "${raw}"`);
   }
 }
 
+// Options come from `values` or, with `source`, from a range: the key of a
+// rendered component or an A1 range. With `dependsOn`, `options` maps each
+// value of that keyed Dropdown to the options offered here.
 class Dropdown {
-  constructor({ values, selected = null }) {
+  constructor({
+    values = [],
+    selected = null,
+    source = null,
+    dependsOn = null,
+    options = {},
+    helpText = null,
+    reject = false,
+  }) {
+    // Every mapped option is styled and accepted when parsing; validation
+    // narrows them to the parent's current value
+    if (dependsOn) values = _dependentValues(options);
     const isObjectArray = values[0]?.value !== undefined;
 
     this.values = values;
     this.plainValues = isObjectArray ? values.map((v) => v.value) : values;
-    this.value = selected ?? this.plainValues[0];
+    this.value = selected ?? (dependsOn ? "" : this.plainValues[0] ?? "");
     this.isObjectArray = isObjectArray;
+    this.source = source;
+    this.dependsOn = dependsOn;
+    this.options = dependsOn
+      ? Object.fromEntries(
+          Object.entries(options).map(([parent, list]) => [
+            parent,
+            list.map((item) => item?.value ?? item),
+          ])
+        )
+      : null;
+    this.listKey = dependsOn ? JSON.stringify(this.options) : null;
+    this.helpText = helpText;
+    this.reject = reject;
   }
 
-  getDirectives(range) {
+  getDirectives(range, ctx, style, app) {
+    const options = { helpText: this.helpText, reject: this.reject };
+    const validation = this.dependsOn
+      ? this.dependentValidation(
+          range.getSheet(),
+          ctx,
+          _parentValue(ctx, this.dependsOn)
+        )
+      : this.source
+      ? Validation.inRange(this.source, options)
+      : Validation.list(this.plainValues, options);
     const directives = {
-      validation: SpreadsheetApp.newDataValidation()
-        .requireValueInList(this.plainValues)
-        .build(),
+      validation: validation ? validation.build(range, ctx, app) : null,
     };
 
     if (this.isObjectArray) {
       directives.conditionalFormatRules = this.values
         .filter((item) => item.style)
         .map((item) =>
-          SpreadsheetApp.newConditionalFormatRule()
-            .whenTextEqualTo(item.value)
-            .setBackground(item.style.backgroundColor)
-            .setFontColor(item.style.font?.color)
-            .setRanges([range])
-            .build()
+          ConditionalFormat.textEqualTo(item.value, item.style).build(
+            range,
+            ctx,
+            style._theme,
+            app
+          )
         );
     }
     return directives;
   }
+
+  parse(raw) {
+    if (raw === "" || raw === null || raw === undefined) return null;
+    // Options read from a range are not known until the sheet is read
+    if (this.source) return raw;
+    if (!this.plainValues.includes(raw)) {
+      throw new TypeError(
+        `"${raw}" is not one of: ${this.plainValues.join(", ")}`
+      );
+    }
+    return raw;
+  }
+
+  // Allows the options mapped to `parentValue`, read from the helper sheet
+  // the render wrote. Nothing is allowed for an unmapped value, and nothing
+  // is checked while the parent is empty.
+  dependentValidation(sheet, ctx, parentValue) {
+    if (parentValue === "" || parentValue === null) return null;
+    const options = { helpText: this.helpText, reject: this.reject };
+    const list = ctx.lists.get(this.listKey);
+    const index = Object.keys(this.options).indexOf(String(parentValue));
+    if (index === -1) return Validation.formula("=FALSE", options);
+
+    const column = _columnToLetter(list.column + index);
+    const lastRow = 1 + Math.max(1, this.options[parentValue].length);
+    const name = _listsSheetName(sheet, ctx).replace(/'/g, "''");
+    return Validation.inRange(
+      `'${name}'!${column}2:${column}${lastRow}`,
+      options
+    );
+  }
+}
+
+// Unique options across a dependent dropdown's mapping, as objects
+function _dependentValues(options) {
+  const unique = new Map();
+  for (const item of Object.values(options).flat()) {
+    const option = item?.value !== undefined ? item : { value: item };
+    if (!unique.has(option.value)) unique.set(option.value, option);
+  }
+  return [...unique.values()];
+}
+
+// The helper sheet holds the lists of one sheet's render, so parents on
+// other sheets of a Workbook cannot be followed
+function _parentValue(ctx, key) {
+  const parent = ctx.nodes.get(key);
+  const ref = ctx.refs.get(key);
+  if (!parent && ref && ref.sheet !== (ctx.sheet?.name ?? null)) {
+    throw new Error(
+      `Dropdown depends on "${key}", which is on sheet "${ref.sheet}". Dependent dropdowns must be on the same sheet as their parent`
+    );
+  }
+  if (!parent?.type) {
+    throw new Error(`Dropdown depends on "${key}", which is not a keyed Cell`);
+  }
+  return parent.type.value;
 }
 
 class DatePicker {
@@ -233,391 +481,5409 @@ class DatePicker {
     this.value = value;
   }
 
-  getDirectives() {
+  getDirectives(range, ctx, style, app) {
     return {
-      validation: SpreadsheetApp.newDataValidation().requireDate().build(),
+      validation: Validation.date().build(range, ctx, app),
       numberFormat: this.format,
     };
   }
 
+  parse(raw) {
+    if (raw === "" || raw === null || raw === undefined) return null;
+    if (raw instanceof Date) return raw;
+
+    // Serial day numbers count from 1899-12-30
+    const date =
+      typeof raw === "number"
+        ? new Date(Date.UTC(1899, 11, 30) + raw * 86400000)
+        : new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+      throw new TypeError(`Expected a date, got "${raw}"`);
+    }
+    return date;
+  }
+
   get serialValue() {
     if (!this.value) return "";
     return this.value;
   }
 }
 
-// ============================================================================
-// COMPONENTS
-// ============================================================================
+class Formula {
+  constructor(expression, format = null) {
+    this.expression = expression;
+    this.format = format;
+    this.value = "";
+  }
 
-class Cell {
-  constructor({
-    type = new Text(""),
-    style = null,
-    note = "",
-    colSpan = 1,
-    rowSpan = 1,
-  }) {
-    this.type = type;
-    this.style = style;
-    this.note = note;
-    this.colSpan = colSpan;
-    this.rowSpan = rowSpan;
+  // Expressions reference keyed components either as `{key}` placeholders
+  // or through the `ref` callback: (ref) => `=SUM(${ref("revenue")})`
+  resolve(ctx) {
+    return _resolveRefs(this.expression, (key) =>
+      _refA1(_lookupRef(ctx.refs, key), ctx)
+    );
   }
 
-  render(ctx, pos, inheritedStyle) {
-    const finalStyle = inheritedStyle.merge(this.style);
+  getDirectives(range, ctx) {
+    const directives = { formula: this.resolve(ctx) };
+    if (this.format) directives.numberFormat = this.format;
+    return directives;
+  }
 
-    // Mark occupied cells
-    for (let r = 0; r < this.rowSpan; r++) {
-      for (let c = 0; c < this.colSpan; c++) {
-        ctx.occupied.add(`${pos.row + r}:${pos.col + c}`);
+  parse(raw) {
+    return raw;
+  }
+}
+
+// Text made of runs, each with its own font overrides and optional link:
+// new RichText(["Status: ", { text: "late", font: { bold: true, color: "red" } }])
+class RichText {
+  constructor(runs = []) {
+    this.runs = runs.map((run) =>
+      typeof run === "string" ? { text: run } : run
+    );
+    this.value = this.runs.map((run) => run.text).join("");
+  }
+
+  getDirectives(range, ctx, style, app = _spreadsheetApp()) {
+    const builder = app.newRichTextValue().setText(this.value);
+    let start = 0;
+
+    for (const run of this.runs) {
+      const end = start + run.text.length;
+      if (end > start && run.font) {
+        builder.setTextStyle(start, end, _buildTextStyle(app, run.font));
+      }
+      if (end > start && run.link) {
+        const url =
+          typeof run.link === "string"
+            ? run.link
+            : _refUrl(run.link.key, range, ctx);
+        builder.setLinkUrl(start, end, url);
       }
+      start = end;
     }
 
-    return [
-      {
-        row: pos.row,
-        col: pos.col,
-        cell: this,
-        style: finalStyle,
-      },
-    ];
+    return { richText: builder.build() };
+  }
+
+  parse(raw) {
+    return raw === null || raw === undefined ? "" : String(raw);
   }
 }
 
-class HStack {
-  constructor({ children, style = null }) {
-    this.children = children;
-    this.style = style;
+class Link extends RichText {
+  constructor(text, url, font = null) {
+    super([{ text, link: url, font }]);
+    this.url = url;
   }
+}
 
-  render(ctx, pos, inheritedStyle) {
-    const containerStyle = inheritedStyle.merge(this.style);
-    const resolved = [];
-    let col = pos.col;
+// A1 notation of a keyed component, prefixed with its sheet name when it
+// was rendered on another sheet of the workbook
+function _refA1(bounds, ctx, absolute = false) {
+  const a1 = _toA1(bounds, absolute);
+  if (!bounds.sheet || bounds.sheet === ctx.sheet?.name) return a1;
+  return `'${bounds.sheet.replace(/'/g, "''")}'!${a1}`;
+}
 
-    for (const child of this.children) {
-      // Skip occupied cells
-      while (ctx.occupied.has(`${pos.row}:${col}`)) col++;
+function _refUrl(key, range, ctx) {
+  const bounds = _lookupRef(ctx.refs, key);
+  const sheet = _refSheet(bounds, range, ctx);
+  return `#gid=${sheet.getSheetId()}&range=${_toA1(bounds)}`;
+}
 
-      const childCells = child.render(
-        ctx,
-        { row: pos.row, col },
-        containerStyle
+// The sheet a keyed component was rendered on
+function _refSheet(bounds, range, ctx) {
+  const current = range.getSheet();
+  return !bounds.sheet || bounds.sheet === ctx.sheet?.name
+    ? current
+    : current.getParent().getSheetByName(bounds.sheet);
+}
+
+function _buildTextStyle(app, font) {
+  const builder = app.newTextStyle();
+  if (font.bold !== undefined) builder.setBold(font.bold);
+  if (font.italic !== undefined) builder.setItalic(font.italic);
+  if (font.underline !== undefined) builder.setUnderline(font.underline);
+  if (font.strikethrough !== undefined) {
+    builder.setStrikethrough(font.strikethrough);
+  }
+  if (font.color !== undefined) builder.setForegroundColor(font.color);
+  if (font.size !== undefined) builder.setFontSize(font.size);
+  if (font.family !== undefined) builder.setFontFamily(font.family);
+  return builder.build();
+}
+
+function _resolveRefs(expression, ref) {
+  if (typeof expression === "function") return expression(ref);
+  return expression.replace(/\{([A-Za-z_][\w.-]*)\}/g, (_, key) => ref(key));
+}
+
+function _lookupRef(refs, key) {
+  if (!refs.has(key))
+    throw new Error(`Formula references unknown key "${key}"`);
+  return refs.get(key);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Declarative data validation rule. Data types build their own (a Dropdown
+// requires one of its values); a Cell's `validation` prop replaces it.
+// Invalid input is flagged with a warning unless `reject` is set.
+class Validation {
+  constructor(require, args = [], { helpText = null, reject = false } = {}) {
+    this.require = require;
+    this.args = args;
+    this.helpText = helpText;
+    this.reject = reject;
+  }
+
+  static checkbox(options) {
+    return new Validation("requireCheckbox", [], options);
+  }
+
+  static list(values, options) {
+    return new Validation("requireValueInList", [values], options);
+  }
+
+  // `source` is the key of a rendered component or an A1 range, which may
+  // name another sheet ("Lists!A2:A20")
+  static inRange(source, options) {
+    return new Validation("requireValueInRange", [source], options);
+  }
+
+  static number({ min = null, max = null, ...options } = {}) {
+    if (min !== null && max !== null) {
+      return new Validation("requireNumberBetween", [min, max], options);
+    }
+    if (min !== null) {
+      return new Validation(
+        "requireNumberGreaterThanOrEqualTo",
+        [min],
+        options
       );
-      resolved.push(...childCells);
+    }
+    if (max !== null) {
+      return new Validation("requireNumberLessThanOrEqualTo", [max], options);
+    }
+    return Validation.formula("=ISNUMBER({self})", options);
+  }
 
-      // Advance past this child
-      let maxCol = col;
-      for (const c of childCells) {
-        maxCol = Math.max(maxCol, c.col + (c.cell.colSpan || 1) - 1);
-      }
-      col = maxCol + 1;
+  static textLength({ min = null, max = null, ...options } = {}) {
+    if (min === null && max === null) {
+      throw new Error("Validation.textLength needs a min or a max");
     }
+    const conditions = [];
+    if (min !== null) conditions.push(`LEN({self}) >= ${min}`);
+    if (max !== null) conditions.push(`LEN({self}) <= ${max}`);
+    return Validation.formula(_formulaAnd(conditions), options);
+  }
 
-    return resolved;
+  static regex(pattern, options) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern;
+    return Validation.formula(
+      `=REGEXMATCH(TO_TEXT({self}), "${source.replace(/"/g, '""')}")`,
+      options
+    );
   }
-}
 
-class VStack {
-  constructor({ children, style = null }) {
-    this.children = children;
-    this.style = style;
+  static email(options) {
+    return new Validation("requireTextIsEmail", [], options);
   }
 
-  render(ctx, pos, inheritedStyle) {
-    const containerStyle = inheritedStyle.merge(this.style);
-    const resolved = [];
-    let row = pos.row;
+  static url(options) {
+    return new Validation("requireTextIsUrl", [], options);
+  }
 
-    for (const child of this.children) {
-      // Skip occupied rows
-      while (ctx.occupied.has(`${row}:${pos.col}`)) row++;
+  // Bounds are Dates or "today". A single fixed bound (or a fixed inclusive
+  // range) uses the native date rules; anything else becomes a formula.
+  static date({
+    after = null,
+    before = null,
+    onOrAfter = null,
+    onOrBefore = null,
+    ...options
+  } = {}) {
+    const bounds = { after, before, onOrAfter, onOrBefore };
+    const set = Object.entries(bounds).filter(([, value]) => value !== null);
+    const fixed = set.every(([, value]) => value instanceof Date);
 
-      const childCells = child.render(
-        ctx,
-        { row, col: pos.col },
-        containerStyle
+    if (set.length === 0) return new Validation("requireDate", [], options);
+    if (fixed && set.length === 1) {
+      const [name, value] = set[0];
+      const method = `requireDate${name[0].toUpperCase()}${name.slice(1)}`;
+      return new Validation(method, [value], options);
+    }
+    if (fixed && set.length === 2 && onOrAfter && onOrBefore) {
+      return new Validation(
+        "requireDateBetween",
+        [onOrAfter, onOrBefore],
+        options
       );
-      resolved.push(...childCells);
-
-      // Advance past this child
-      let maxRow = row;
-      for (const c of childCells) {
-        maxRow = Math.max(maxRow, c.row + (c.cell.rowSpan || 1) - 1);
-      }
-      row = maxRow + 1;
     }
 
-    return resolved;
+    const operators = {
+      after: ">",
+      before: "<",
+      onOrAfter: ">=",
+      onOrBefore: "<=",
+    };
+    const conditions = ["ISNUMBER({self})"].concat(
+      set.map(
+        ([name, value]) => `{self} ${operators[name]} ${_dateTerm(value)}`
+      )
+    );
+    return Validation.formula(_formulaAnd(conditions), options);
+  }
+
+  // `{self}` is the validated cell; `{key}` is a keyed component
+  static formula(expression, options) {
+    return new Validation("requireFormulaSatisfied", [expression], options);
+  }
+
+  build(range, ctx, app = _spreadsheetApp()) {
+    const builder = app.newDataValidation();
+    builder[this.require](...this._resolveArgs(range, ctx));
+    if (this.helpText) builder.setHelpText(this.helpText);
+    if (this.reject) builder.setAllowInvalid(false);
+    return builder.build();
+  }
+
+  _resolveArgs(range, ctx) {
+    if (this.require === "requireFormulaSatisfied") {
+      return [_resolveRuleFormula(this.args[0], range, ctx)];
+    }
+    if (this.require === "requireValueInRange") {
+      return [_sourceRange(this.args[0], range, ctx)];
+    }
+    return this.args;
   }
 }
 
-// ============================================================================
-// RENDERER
-// ============================================================================
+function _formulaAnd(conditions) {
+  return conditions.length === 1
+    ? `=${conditions[0]}`
+    : `=AND(${conditions.join(", ")})`;
+}
 
-function render(sheet, root) {
-  const ctx = { occupied: new Set() };
-  const cells = root.render(ctx, { row: 1, col: 1 }, new Style());
+function _dateTerm(value) {
+  if (value === "today") return "TODAY()";
+  if (!(value instanceof Date)) {
+    throw new TypeError(`Expected a Date or "today", got "${value}"`);
+  }
+  return `DATE(${value.getFullYear()}, ${
+    value.getMonth() + 1
+  }, ${value.getDate()})`;
+}
 
-  if (cells.length === 0) return;
+// Range object for a keyed component or an A1 range, on any sheet
+function _sourceRange(source, range, ctx) {
+  const sheet = range.getSheet();
+  if (!ctx.refs.has(source)) {
+    return source.includes("!")
+      ? sheet.getParent().getRange(source)
+      : sheet.getRange(source);
+  }
 
-  const bounds = _calculateBounds(cells);
-  const range = sheet.getRange(
+  const bounds = ctx.refs.get(source);
+  return _refSheet(bounds, range, ctx).getRange(
     bounds.minRow,
     bounds.minCol,
     bounds.numRows,
     bounds.numCols
   );
-  range.clear();
+}
 
-  const grids = _buildGrids(cells, bounds);
+// Signature of a built validation, so re-renders notice changed criteria
+function _validationSignature(validation) {
+  return JSON.stringify([
+    String(validation.getCriteriaType()),
+    validation
+      .getCriteriaValues()
+      .map((value) =>
+        value && typeof value.getA1Notation === "function"
+          ? `${value.getSheet().getName()}!${value.getA1Notation()}`
+          : value
+      ),
+    validation.getAllowInvalid(),
+    validation.getHelpText(),
+  ]);
+}
 
-  // Bulk apply styles
-  range
-    .setValues(grids.values)
-    .setNotes(grids.notes)
-    .setBackgrounds(grids.backgrounds)
-    .setFontColors(grids.fontColors)
-    .setFontSizes(grids.fontSizes)
-    .setFontWeights(grids.fontWeights)
-    .setFontStyles(grids.fontStyles)
-    .setFontLines(grids.fontLines)
-    .setHorizontalAlignments(grids.hAligns)
-    .setVerticalAlignments(grids.vAligns)
-    .setWrapStrategies(grids.wraps)
-    .setNumberFormats(grids.numberFormats)
-    .setDataValidations(grids.validations);
+// ============================================================================
+// CONDITIONAL FORMATTING
+// ============================================================================
 
-  // Rotations (only if needed)
-  if (grids.hasRotation) {
-    range.setTextRotations(grids.rotations);
+// Declarative conditional format rule, attached to a Cell, stack or Table
+// column through `conditionalFormats` and applied over that component's
+// whole region once layout has resolved it
+class ConditionalFormat {
+  constructor({ when = null, args = [], style = null, gradient = null }) {
+    this.when = when;
+    this.args = args;
+    this.style = style;
+    this.gradient = gradient;
   }
 
-  // Dimensions
-  for (const [col, width] of Object.entries(grids.widths)) {
-    sheet.setColumnWidth(parseInt(col), width);
+  static greaterThan(value, style) {
+    return new ConditionalFormat({
+      when: "whenNumberGreaterThan",
+      args: [value],
+      style,
+    });
   }
-  for (const [row, height] of Object.entries(grids.heights)) {
-    sheet.setRowHeight(parseInt(row), height);
+
+  static greaterThanOrEqualTo(value, style) {
+    return new ConditionalFormat({
+      when: "whenNumberGreaterThanOrEqualTo",
+      args: [value],
+      style,
+    });
   }
 
-  // Borders (RLE optimized)
-  _applyBorders(sheet, bounds, grids.borders);
+  static lessThan(value, style) {
+    return new ConditionalFormat({
+      when: "whenNumberLessThan",
+      args: [value],
+      style,
+    });
+  }
 
-  // Merges
-  for (const m of grids.merges) {
-    sheet.getRange(m.row, m.col, m.rowSpan, m.colSpan).merge();
+  static lessThanOrEqualTo(value, style) {
+    return new ConditionalFormat({
+      when: "whenNumberLessThanOrEqualTo",
+      args: [value],
+      style,
+    });
   }
 
-  // Conditional formats (merge with existing)
-  if (grids.conditionalRules.length > 0) {
-    const existing = sheet.getConditionalFormatRules();
-    sheet.setConditionalFormatRules(existing.concat(grids.conditionalRules));
+  static equalTo(value, style) {
+    return new ConditionalFormat({
+      when: "whenNumberEqualTo",
+      args: [value],
+      style,
+    });
   }
-}
 
-function _calculateBounds(cells) {
-  let minRow = Infinity,
-    maxRow = 0,
-    minCol = Infinity,
-    maxCol = 0;
+  static notEqualTo(value, style) {
+    return new ConditionalFormat({
+      when: "whenNumberNotEqualTo",
+      args: [value],
+      style,
+    });
+  }
 
-  for (const c of cells) {
-    minRow = Math.min(minRow, c.row);
-    maxRow = Math.max(maxRow, c.row + (c.cell.rowSpan || 1) - 1);
-    minCol = Math.min(minCol, c.col);
-    maxCol = Math.max(maxCol, c.col + (c.cell.colSpan || 1) - 1);
+  static between(start, end, style) {
+    return new ConditionalFormat({
+      when: "whenNumberBetween",
+      args: [start, end],
+      style,
+    });
   }
 
-  return {
-    minRow,
-    maxRow,
-    minCol,
-    maxCol,
-    numRows: maxRow - minRow + 1,
-    numCols: maxCol - minCol + 1,
-  };
-}
+  static notBetween(start, end, style) {
+    return new ConditionalFormat({
+      when: "whenNumberNotBetween",
+      args: [start, end],
+      style,
+    });
+  }
 
-function _buildGrids(cells, bounds) {
-  const { minRow, minCol, numRows, numCols } = bounds;
-  const grid = (fill) =>
-    Array.from({ length: numRows }, () => Array(numCols).fill(fill));
+  static textEqualTo(text, style) {
+    return new ConditionalFormat({
+      when: "whenTextEqualTo",
+      args: [text],
+      style,
+    });
+  }
 
-  const grids = {
-    values: grid(""),
-    notes: grid(""),
-    backgrounds: grid(null),
-    fontColors: grid(null),
-    fontSizes: grid(null),
-    fontWeights: grid(null),
-    fontStyles: grid(null),
-    fontLines: grid(null),
-    hAligns: grid(null),
-    vAligns: grid(null),
-    wraps: grid(WrapStrategy.OVERFLOW),
-    numberFormats: grid("General"),
-    validations: grid(null),
-    rotations: grid(0),
-    borders: grid(null),
-    widths: {},
-    heights: {},
-    merges: [],
-    conditionalRules: [],
-    hasRotation: false,
-  };
+  static textContains(text, style) {
+    return new ConditionalFormat({
+      when: "whenTextContains",
+      args: [text],
+      style,
+    });
+  }
 
-  for (const c of cells) {
-    const { row, col, cell, style } = c;
-    const { type, note, rowSpan, colSpan } = cell;
-    const directives =
-      type.getDirectives?.(
-        SpreadsheetApp.getActiveSpreadsheet()
-          .getActiveSheet()
-          .getRange(row, col, rowSpan, colSpan)
-      ) || {};
+  static empty(style) {
+    return new ConditionalFormat({ when: "whenCellEmpty", style });
+  }
 
-    // Track dimensions
-    if (style.width !== null) grids.widths[col] = style.width;
-    if (style.height !== null) grids.heights[row] = style.height;
+  static notEmpty(style) {
+    return new ConditionalFormat({ when: "whenCellNotEmpty", style });
+  }
 
-    // Conditional rules
-    if (directives.conditionalFormatRules) {
-      grids.conditionalRules.push(...directives.conditionalFormatRules);
+  // Dates are a Date or a relative date name: "today", "tomorrow",
+  // "yesterday", "past_week", "past_month" or "past_year"
+  static dateBefore(date, style) {
+    return new ConditionalFormat({
+      when: "whenDateBefore",
+      args: [date],
+      style,
+    });
+  }
+
+  static dateAfter(date, style) {
+    return new ConditionalFormat({
+      when: "whenDateAfter",
+      args: [date],
+      style,
+    });
+  }
+
+  static dateEqualTo(date, style) {
+    return new ConditionalFormat({
+      when: "whenDateEqualTo",
+      args: [date],
+      style,
+    });
+  }
+
+  // `{self}` is the region's top-left cell as a relative reference, so it
+  // moves with each cell; `{key}` is a keyed component as an absolute range
+  static formula(expression, style) {
+    return new ConditionalFormat({
+      when: "whenFormulaSatisfied",
+      args: [expression],
+      style,
+    });
+  }
+
+  // Points are a color, or { color, type, value } where type is "number",
+  // "percent" or "percentile". The midpoint defaults to the 50th percentile.
+  static colorScale({ min, mid = null, max }) {
+    return new ConditionalFormat({ gradient: { min, mid, max } });
+  }
+
+  build(range, ctx, theme = null, app = _spreadsheetApp()) {
+    const builder = app.newConditionalFormatRule().setRanges([range]);
+
+    if (this.gradient) {
+      _applyGradient(app, builder, this.gradient, theme);
+      return builder.build();
     }
 
-    // Merges
-    if (rowSpan > 1 || colSpan > 1) {
-      grids.merges.push({ row, col, rowSpan, colSpan });
+    const args =
+      this.when === "whenFormulaSatisfied"
+        ? [_resolveRuleFormula(this.args[0], range, ctx)]
+        : this.args.map((arg) =>
+            typeof arg === "string" && this.when.startsWith("whenDate")
+              ? app.RelativeDate[arg.toUpperCase()]
+              : arg
+          );
+    builder[this.when](...args);
+    _applyConditionalStyle(builder, this.style, theme);
+    return builder.build();
+  }
+}
+
+// `{self}` is the range's top-left cell, relative so it moves with each cell
+// of the range; `{key}` is a keyed component as an absolute range
+function _resolveRuleFormula(expression, range, ctx) {
+  return _resolveRefs(expression, (key) => {
+    if (key === "self") {
+      return `${_columnToLetter(range.getColumn())}${range.getRow()}`;
     }
+    // Rule and validation formulas cannot reference other sheets directly
+    const bounds = _lookupRef(ctx.refs, key);
+    const a1 = _refA1(bounds, ctx, true);
+    return a1 === _toA1(bounds, true) ? a1 : `INDIRECT("${a1}")`;
+  });
+}
 
-    // Fill grid cells
-    for (let rOff = 0; rOff < rowSpan; rOff++) {
-      for (let cOff = 0; cOff < colSpan; cOff++) {
-        const r = row - minRow + rOff;
-        const c_idx = col - minCol + cOff;
-        const isTopLeft = rOff === 0 && cOff === 0;
+// Only properties the style sets explicitly are part of the rule's format
+function _applyConditionalStyle(builder, style, theme) {
+  if (!style) return;
+  const options = _resolveStyleOptions(style, theme);
+  const font = options.font || {};
 
-        grids.values[r][c_idx] = isTopLeft ? type.value : "";
-        grids.notes[r][c_idx] = isTopLeft ? note : "";
-        grids.backgrounds[r][c_idx] = style.backgroundColor;
-        grids.fontColors[r][c_idx] = style.font.color;
-        grids.fontSizes[r][c_idx] = style.font.size;
-        grids.fontWeights[r][c_idx] = style.font.bold ? "bold" : "normal";
-        grids.fontStyles[r][c_idx] = style.font.italic ? "italic" : "normal";
-        grids.fontLines[r][c_idx] = style.font.underline
-          ? "underline"
-          : style.font.strikethrough
-          ? "line-through"
-          : null;
-        grids.hAligns[r][c_idx] = style.alignment.horizontal;
-        grids.vAligns[r][c_idx] = style.alignment.vertical;
-        grids.wraps[r][c_idx] = style.wrap;
-        grids.rotations[r][c_idx] = style.rotation;
-        grids.validations[r][c_idx] = directives.validation || null;
+  if (options.backgroundColor) builder.setBackground(options.backgroundColor);
+  if (font.color) builder.setFontColor(font.color);
+  if (font.bold !== undefined) builder.setBold(font.bold);
+  if (font.italic !== undefined) builder.setItalic(font.italic);
+  if (font.strikethrough !== undefined) {
+    builder.setStrikethrough(font.strikethrough);
+  }
+  if (font.underline !== undefined) builder.setUnderline(font.underline);
+}
 
-        if (directives.numberFormat) {
-          grids.numberFormats[r][c_idx] = directives.numberFormat;
-        }
+function _applyGradient(app, builder, { min, mid, max }, theme) {
+  const point = (spec, defaults) => {
+    const resolved =
+      typeof spec === "string"
+        ? { ...defaults, color: spec }
+        : { ...defaults, ...spec };
+    return theme
+      ? { ...resolved, color: theme.color(resolved.color) }
+      : resolved;
+  };
+  const withValue = (setter, { color, type, value }) =>
+    builder[setter](
+      color,
+      app.InterpolationType[type.toUpperCase()],
+      String(value)
+    );
+
+  const minPoint = point(min, {});
+  if (minPoint.type) {
+    withValue("setGradientMinpointWithValue", minPoint);
+  } else {
+    builder.setGradientMinpoint(minPoint.color);
+  }
+
+  if (mid) {
+    withValue(
+      "setGradientMidpointWithValue",
+      point(mid, { type: "percentile", value: 50 })
+    );
+  }
+
+  const maxPoint = point(max, {});
+  if (maxPoint.type) {
+    withValue("setGradientMaxpointWithValue", maxPoint);
+  } else {
+    builder.setGradientMaxpoint(maxPoint.color);
+  }
+}
+
+// ============================================================================
+// COMPONENTS
+// ============================================================================
+
+class Cell {
+  constructor({
+    type = new Text(""),
+    style = null,
+    note = "",
+    colSpan = 1,
+    rowSpan = 1,
+    key = null,
+    onChange = null,
+    conditionalFormats = [],
+    sticky = false,
+    validation = null,
+  }) {
+    this.type = type;
+    this.style = style;
+    this.note = note;
+    this.colSpan = colSpan;
+    this.rowSpan = rowSpan;
+    this.key = key;
+    this.onChange = onChange;
+    this.conditionalFormats = conditionalFormats;
+    this.sticky = sticky;
+    this.validation = validation;
+  }
 
-        if (style.rotation !== 0) grids.hasRotation = true;
+  render(ctx, pos, inheritedStyle) {
+    const finalStyle = inheritedStyle.merge(this.style);
+    if (ctx.problems) _checkCell(ctx, this, pos);
 
-        // Border: only apply outer edges
-        const border = style.border;
-        grids.borders[r][c_idx] = {
-          top: rOff === 0 ? border.top : null,
-          bottom: rOff === rowSpan - 1 ? border.bottom : null,
-          left: cOff === 0 ? border.left : null,
-          right: cOff === colSpan - 1 ? border.right : null,
-        };
+    // Mark occupied cells
+    for (let r = 0; r < this.rowSpan; r++) {
+      for (let c = 0; c < this.colSpan; c++) {
+        ctx.occupied.add(`${pos.row + r}:${pos.col + c}`);
       }
     }
-  }
 
-  return grids;
+    const resolved = [
+      {
+        row: pos.row,
+        col: pos.col,
+        cell: this,
+        style: finalStyle,
+      },
+    ];
+    _registerNode(ctx, this, resolved, finalStyle);
+    return resolved;
+  }
 }
 
-function _applyBorders(sheet, bounds, borders) {
-  const { minRow, minCol, numRows, numCols } = bounds;
+class HStack {
+  constructor({
+    children,
+    style = null,
+    key = null,
+    conditionalFormats = [],
+    sticky = false,
+    outline = null,
+    dividers = null,
+  }) {
+    this.children = children;
+    this.style = style;
+    this.key = key;
+    this.conditionalFormats = conditionalFormats;
+    this.sticky = sticky;
+    this.outline = _outlineBorder(outline);
+    this.dividers = dividers;
+  }
 
-  for (let r = 0; r < numRows; r++) {
-    let c = 0;
-    while (c < numCols) {
-      const b = borders[r][c];
-      if (!b || (!b.top && !b.bottom && !b.left && !b.right)) {
-        c++;
-        continue;
+  render(ctx, pos, inheritedStyle) {
+    const containerStyle = inheritedStyle.merge(this.style);
+    const resolved = [];
+    const childBounds = [];
+    let col = pos.col;
+
+    for (const child of _expandChildren(this.children, ctx)) {
+      // Skip occupied cells
+      const start = col;
+      while (ctx.occupied.has(`${pos.row}:${col}`)) col++;
+      if (col !== start) {
+        _recordJump(ctx, { row: pos.row, col: start }, { row: pos.row, col });
       }
 
-      // RLE: find consecutive identical borders
-      let len = 1;
-      while (c + len < numCols && _bordersMatch(b, borders[r][c + len])) {
-        len++;
+      const childCells = _renderChild(
+        child,
+        ctx,
+        { row: pos.row, col },
+        containerStyle
+      );
+      resolved.push(...childCells);
+      if (childCells.length > 0) childBounds.push(_calculateBounds(childCells));
+
+      // Advance past this child
+      let maxCol = col;
+      for (const c of childCells) {
+        maxCol = Math.max(maxCol, c.col + (c.cell.colSpan || 1) - 1);
       }
+      col = maxCol + 1;
+    }
 
-      const range = sheet.getRange(minRow + r, minCol + c, 1, len);
+    _registerNode(ctx, this, resolved, containerStyle, childBounds);
+    return resolved;
+  }
+}
 
-      if (b.top)
-        range.setBorder(
-          true,
-          null,
-          null,
-          null,
-          null,
-          null,
-          b.top.color,
-          b.top.style
-        );
-      if (b.bottom)
-        range.setBorder(
-          null,
-          null,
-          true,
-          null,
-          null,
-          null,
-          b.bottom.color,
-          b.bottom.style
-        );
-      if (b.left)
-        range.setBorder(
-          null,
-          true,
-          null,
-          null,
-          null,
-          null,
-          b.left.color,
-          b.left.style
-        );
-      if (b.right)
-        range.setBorder(
-          null,
-          null,
-          null,
-          true,
-          null,
-          null,
-          b.right.color,
-          b.right.style
-        );
+class VStack {
+  constructor({
+    children,
+    style = null,
+    key = null,
+    conditionalFormats = [],
+    sticky = false,
+    outline = null,
+    dividers = null,
+  }) {
+    this.children = children;
+    this.style = style;
+    this.key = key;
+    this.conditionalFormats = conditionalFormats;
+    this.sticky = sticky;
+    this.outline = _outlineBorder(outline);
+    this.dividers = dividers;
+  }
 
-      c += len;
+  render(ctx, pos, inheritedStyle) {
+    const containerStyle = inheritedStyle.merge(this.style);
+    const resolved = [];
+    const childBounds = [];
+    let row = pos.row;
+
+    for (const child of _expandChildren(this.children, ctx)) {
+      // Skip occupied rows
+      const start = row;
+      while (ctx.occupied.has(`${row}:${pos.col}`)) row++;
+      if (row !== start) {
+        _recordJump(ctx, { row: start, col: pos.col }, { row, col: pos.col });
+      }
+
+      const childCells = _renderChild(
+        child,
+        ctx,
+        { row, col: pos.col },
+        containerStyle
+      );
+      resolved.push(...childCells);
+      if (childCells.length > 0) childBounds.push(_calculateBounds(childCells));
+
+      // Advance past this child
+      let maxRow = row;
+      for (const c of childCells) {
+        maxRow = Math.max(maxRow, c.row + (c.cell.rowSpan || 1) - 1);
+      }
+      row = maxRow + 1;
     }
+
+    _registerNode(ctx, this, resolved, containerStyle, childBounds);
+    return resolved;
   }
 }
 
-function _bordersMatch(a, b) {
-  if (a === b) return true;
-  if (!a || !b) return false;
-  const eq = (x, y) => x?.color === y?.color && x?.style === y?.style;
-  return (
-    eq(a.top, b.top) &&
-    eq(a.bottom, b.bottom) &&
-    eq(a.left, b.left) &&
-    eq(a.right, b.right)
-  );
+// Data-driven grid: a header row, one row per item and an optional footer.
+// Column definitions: { key, header, accessor, type, width, style, footer }
+class Table {
+  constructor({
+    columns,
+    rows = [],
+    style = null,
+    headerStyle = new Style({ font: { bold: true } }),
+    footerStyle = new Style({ font: { bold: true } }),
+    stripe = null,
+    showHeader = true,
+    showFooter = columns.some((column) => column.footer !== undefined),
+    stickyHeader = false,
+    key = null,
+    conditionalFormats = [],
+  }) {
+    this.columns = columns;
+    this.rows = rows;
+    this.style = style;
+    this.headerStyle = headerStyle;
+    this.footerStyle = footerStyle;
+    this.stripe = stripe;
+    this.showHeader = showHeader;
+    this.showFooter = showFooter;
+    this.stickyHeader = stickyHeader;
+    this.key = key;
+    this.conditionalFormats = conditionalFormats;
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    // Styles are resolved here so column widths and alignment defaults do
+    // not reset the header, stripe or column styles they are combined with
+    const tableStyle = inheritedStyle.merge(this.style);
+    const headerStyle = tableStyle.merge(this.headerStyle);
+    const footerStyle = tableStyle.merge(this.footerStyle);
+    const columnCells = this.columns.map(() => new Set());
+    const children = [];
+
+    if (this.showHeader) {
+      children.push(
+        new HStack({
+          children: this.columns.map(
+            (column, i) =>
+              new Cell({
+                type: new Text(column.header ?? this._columnKey(column, i)),
+                style: headerStyle.merge({ width: column.width ?? null }),
+              })
+          ),
+          sticky: this.stickyHeader,
+        })
+      );
+    }
+
+    this.rows.forEach((row, rowIndex) => {
+      const rowStyle =
+        this.stripe && rowIndex % 2 === 1
+          ? tableStyle.merge(this.stripe)
+          : tableStyle;
+
+      children.push(
+        new HStack({
+          children: this.columns.map((column, i) => {
+            const value =
+              typeof column.accessor === "function"
+                ? column.accessor(row, rowIndex)
+                : row[column.accessor ?? column.key];
+            const type = column.type
+              ? column.type(value, row, rowIndex)
+              : _defaultDataType(value);
+            const cell = new Cell({
+              type,
+              style: this._cellStyle(rowStyle, column, type),
+              key:
+                this.key === null
+                  ? null
+                  : `${this.key}.${rowIndex}.${this._columnKey(column, i)}`,
+            });
+            columnCells[i].add(cell);
+            return cell;
+          }),
+        })
+      );
+    });
+
+    if (this.showFooter) {
+      children.push(
+        new HStack({
+          children: this.columns.map((column) => {
+            const footer =
+              typeof column.footer === "function"
+                ? column.footer(this.rows)
+                : column.footer;
+            const type = _defaultDataType(footer);
+            return new Cell({
+              type,
+              style: this._cellStyle(footerStyle, column, type),
+            });
+          }),
+        })
+      );
+    }
+
+    const resolved = _renderChild(
+      new VStack({ children }),
+      ctx,
+      pos,
+      inheritedStyle
+    );
+    _registerNode(ctx, this, resolved, tableStyle);
+
+    // Column refs (`table.column`) and column formats cover the body cells
+    this.columns.forEach((column, i) => {
+      const body = resolved.filter((c) => columnCells[i].has(c.cell));
+      if (this.key !== null) {
+        _registerRef(ctx, `${this.key}.${this._columnKey(column, i)}`, body);
+      }
+      _registerFormats(ctx, column.conditionalFormats, body, tableStyle._theme);
+    });
+
+    return resolved;
+  }
+
+  _columnKey(column, index) {
+    return column.key ?? String(index);
+  }
+
+  _cellStyle(baseStyle, column, type) {
+    const horizontal = _defaultAlignment(type);
+    const aligned = horizontal
+      ? baseStyle.merge({ alignment: { horizontal } })
+      : baseStyle;
+    return aligned.merge(column.style);
+  }
+}
+
+// Supplies a theme to everything below it. Several children stack vertically.
+class ThemeProvider {
+  constructor({ theme, children }) {
+    this.theme = theme;
+    this.children = children;
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    return _renderNode(
+      this.children,
+      ctx,
+      pos,
+      inheritedStyle.withTheme(this.theme)
+    );
+  }
+}
+
+// Root component describing the sheet itself. `render(new Sheet({ name }))`
+// finds or creates the sheet; its settings are applied in the commit phase.
+class Sheet {
+  constructor({
+    name,
+    children,
+    frozenRows = null,
+    frozenColumns = null,
+    tabColor = null,
+    hideGridlines = false,
+    hiddenColumns = [],
+    totalWidth = null,
+  }) {
+    this.name = name;
+    this.children = children;
+    this.frozenRows = frozenRows;
+    this.frozenColumns = frozenColumns;
+    this.tabColor = tabColor;
+    this.hideGridlines = hideGridlines;
+    this.hiddenColumns = hiddenColumns;
+    this.totalWidth = totalWidth;
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    if (ctx.sheet) {
+      throw new Error(
+        `Sheet "${this.name}" is nested inside Sheet "${ctx.sheet.name}"`
+      );
+    }
+    ctx.sheet = this;
+    return _renderNode(this.children, ctx, pos, inheritedStyle);
+  }
+}
+
+// Root for several sheets rendered together. Keys are shared across the
+// workbook, so a formula on one sheet can reference a component on another.
+class Workbook {
+  constructor({ sheets, reorderSheets = true }) {
+    const names = new Set();
+    for (const sheet of sheets) {
+      if (names.has(sheet.name)) {
+        throw new Error(`Duplicate sheet name "${sheet.name}"`);
+      }
+      names.add(sheet.name);
+    }
+    this.sheets = sheets;
+    this.reorderSheets = reorderSheets;
+  }
+}
+
+// Groups the rows (or columns) its children occupy into a collapsible
+// outline. Nested groups are one level deeper.
+class Group {
+  constructor({
+    children,
+    direction = "rows",
+    collapsed = false,
+    controlPosition = null,
+    style = null,
+    key = null,
+  }) {
+    if (direction !== "rows" && direction !== "columns") {
+      throw new Error(`Group direction must be "rows" or "columns"`);
+    }
+    this.children = children;
+    this.direction = direction;
+    this.collapsed = collapsed;
+    this.controlPosition = controlPosition;
+    this.style = style;
+    this.key = key;
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    const Stack = this.direction === "rows" ? VStack : HStack;
+    const resolved = _renderChild(
+      new Stack({ children: this.children }),
+      ctx,
+      pos,
+      inheritedStyle.merge(this.style)
+    );
+    if (resolved.length === 0) return resolved;
+
+    const bounds = _calculateBounds(resolved);
+    const rows = this.direction === "rows";
+    ctx.groups.push({
+      direction: this.direction,
+      start: rows ? bounds.minRow : bounds.minCol,
+      end: rows ? bounds.maxRow : bounds.maxCol,
+      collapsed: this.collapsed,
+      controlPosition: this.controlPosition,
+    });
+    _registerRef(ctx, this.key, resolved);
+    return resolved;
+  }
+}
+
+// Groups siblings without adding a node: inside a stack its children flow
+// in the stack's direction, on its own they stack vertically.
+class Fragment {
+  constructor({ children = [] } = {}) {
+    this.children = children;
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    return _renderNode(this.children, ctx, pos, inheritedStyle);
+  }
+}
+
+// A component written as a function of its props.
+// `fn(props, ctx)` returns a tree, an array of siblings or null.
+class FunctionComponent {
+  constructor(fn, props = {}) {
+    this.fn = fn;
+    this.props = props;
+  }
+
+  expand(ctx) {
+    return this.fn(this.props, ctx);
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    return _renderNode(this.expand(ctx), ctx, pos, inheritedStyle);
+  }
+}
+
+// Wraps `fn(props, ctx)` so it can be used like the built-in components:
+//   const Header = component(({ title }) => new Cell({ type: new Text(title) }));
+//   new VStack({ children: [Header({ title: "Orders" })] });
+function component(fn) {
+  return (props = {}) => new FunctionComponent(fn, props);
+}
+
+// Returns a context whose value is read with `ctx.use(context)` anywhere
+// below a matching `new context.Provider({ value, children })`
+function createContext(defaultValue) {
+  const context = { defaultValue };
+  context.Provider = function Provider({ value, children }) {
+    return new ContextProvider({ context, value, children });
+  };
+  return Object.freeze(context);
+}
+
+class ContextProvider {
+  constructor({ context, value, children }) {
+    this.context = context;
+    this.value = value;
+    this.children = children;
+  }
+
+  render(ctx, pos, inheritedStyle) {
+    const { contexts } = ctx;
+    const hadValue = contexts.has(this.context);
+    const previous = contexts.get(this.context);
+
+    contexts.set(this.context, this.value);
+    try {
+      return _renderNode(this.children, ctx, pos, inheritedStyle);
+    } finally {
+      if (hadValue) contexts.set(this.context, previous);
+      else contexts.delete(this.context);
+    }
+  }
+}
+
+// `outline` is a Border or a single side ({ color, style }) for all four
+function _outlineBorder(outline) {
+  if (!outline || outline instanceof Border) return outline;
+  return Border.all(outline.color, outline.style);
+}
+
+function _isDataType(value) {
+  return !!value && typeof value.getDirectives === "function";
+}
+
+function _defaultDataType(value) {
+  if (_isDataType(value)) return value;
+  if (value === null || value === undefined) return new Text("");
+  if (typeof value === "boolean") return new Checkbox(value);
+  if (typeof value === "number") return new NumberCell(value);
+  if (value instanceof Date) return new DatePicker(value);
+  return new Text(String(value));
+}
+
+function _defaultAlignment(type) {
+  if (type instanceof Checkbox) return HAlign.CENTER;
+  if (type instanceof NumberCell || type instanceof DatePicker) {
+    return HAlign.RIGHT;
+  }
+  return null;
+}
+
+// Flattens arrays and fragments and calls function components, leaving
+// the nodes a stack lays out. Plain functions are called like function
+// components with empty props. null, undefined and false render nothing.
+function _expandChildren(children, ctx) {
+  const expanded = [];
+  for (const child of Array.isArray(children) ? children : [children]) {
+    if (child === null || child === undefined || child === false) continue;
+    if (Array.isArray(child)) {
+      expanded.push(..._expandChildren(child, ctx));
+    } else if (child instanceof Fragment) {
+      expanded.push(..._expandChildren(child.children, ctx));
+    } else if (child instanceof FunctionComponent) {
+      expanded.push(..._expandChildren(child.expand(ctx), ctx));
+    } else if (typeof child === "function") {
+      expanded.push(..._expandChildren(child({}, ctx), ctx));
+    } else {
+      expanded.push(child);
+    }
+  }
+  return expanded;
+}
+
+// Renders whatever a component may return: a node, a list of siblings
+// (stacked vertically) or nothing
+function _renderNode(node, ctx, pos, inheritedStyle) {
+  const nodes = _expandChildren(node, ctx);
+  if (nodes.length === 0) return [];
+  const single =
+    nodes.length === 1 ? nodes[0] : new VStack({ children: nodes });
+  return _renderChild(single, ctx, pos, inheritedStyle);
+}
+
+// `children` are the bounds of a stack's children, where its dividers go
+function _registerNode(ctx, node, cells, style, children = []) {
+  _registerRef(ctx, node.key, cells);
+  if (node.key !== null && node.key !== undefined)
+    ctx.nodes.set(node.key, node);
+  _registerFormats(ctx, node.conditionalFormats, cells, style._theme);
+  if (node.sticky && cells.length > 0) {
+    ctx.stickyRows = Math.max(ctx.stickyRows, _calculateBounds(cells).maxRow);
+  }
+  if ((node.outline || node.dividers) && cells.length > 0) {
+    ctx.outlines.push({
+      bounds: _calculateBounds(cells),
+      outline: node.outline,
+      dividers: node.dividers,
+      children,
+    });
+  }
+}
+
+function _registerFormats(ctx, formats, cells, theme) {
+  if (!formats || formats.length === 0 || cells.length === 0) return;
+  ctx.conditionalFormats.push({
+    bounds: _calculateBounds(cells),
+    formats,
+    theme,
+  });
+}
+
+// Records the bounding box of a keyed component so formulas can reference it
+function _registerRef(ctx, key, cells) {
+  if (key === null || key === undefined || cells.length === 0) return;
+  if (ctx.refs.has(key)) throw new Error(`Duplicate component key "${key}"`);
+  ctx.refs.set(key, {
+    ..._calculateBounds(cells),
+    sheet: ctx.sheet?.name ?? null,
+  });
+}
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+// Returns the layout's size warnings, or the sheets rendered into for a
+// Sheet or Workbook root
+function render(sheet, root, options = {}) {
+  // render(new Sheet({ ... }), options) finds or creates the sheet by name
+  if (sheet instanceof Sheet) return _renderSheet(sheet, root);
+  if (sheet instanceof Workbook) return _renderWorkbook(sheet, root);
+
+  const { anchor, ...rest } = options;
+  return renderAll(sheet, [{ root, anchor }], rest);
+}
+
+function _renderSheet(root, options = {}) {
+  const { spreadsheet = _spreadsheetApp().getActiveSpreadsheet(), ...rest } =
+    options;
+  const sheet =
+    spreadsheet.getSheetByName(root.name) || spreadsheet.insertSheet(root.name);
+  render(sheet, root, { ...rest, clear: true });
+  return sheet;
+}
+
+// Lays out several roots on one sheet with a shared occupancy map, so later
+// roots flow around earlier ones, commits them in a single batch and returns
+// the size warnings. `strict` checks the layout before anything is written;
+// `debug` paints it onto a scratch sheet (see _paintDebug).
+function renderAll(sheet, entries, options = {}) {
+  const { debug = false, strict = false, ...rest } = options;
+  const trace = debug ? _traceRoot() : null;
+  const { ctx, cells, regions } = _layout(entries, undefined, trace, strict);
+  _assertValid(ctx.problems);
+  _renderCells(sheet, ctx, cells, regions, rest);
+  if (trace) _paintDebug(sheet, trace, debug);
+  return ctx.sizes.warnings;
+}
+
+// Lays out every sheet before committing any, so references resolve in
+// both directions, then commits the sheets one after another
+function _renderWorkbook(workbook, options = {}) {
+  const { spreadsheet = _spreadsheetApp().getActiveSpreadsheet(), ...rest } =
+    options;
+  const layouts = _layoutWorkbook(workbook, rest.strict);
+  _assertValid(layouts.flatMap(({ ctx }) => ctx.problems ?? []));
+
+  const sheets = workbook.sheets.map(
+    (root) =>
+      spreadsheet.getSheetByName(root.name) ||
+      spreadsheet.insertSheet(root.name)
+  );
+  layouts.forEach(({ ctx, cells, regions }, i) => {
+    _renderCells(sheets[i], ctx, cells, regions, { ...rest, clear: true });
+  });
+
+  if (workbook.reorderSheets) _orderSheets(spreadsheet, sheets);
+  return sheets;
+}
+
+function _layoutWorkbook(workbook, strict = false) {
+  const refs = new Map();
+  return workbook.sheets.map((root) => ({
+    root,
+    ..._layout([root], refs, null, strict),
+  }));
+}
+
+// Moves the sheets to the front of the spreadsheet in the given order
+function _orderSheets(spreadsheet, sheets) {
+  const active = spreadsheet.getActiveSheet();
+  sheets.forEach((sheet, i) => {
+    if (spreadsheet.getSheets()[i].getSheetId() === sheet.getSheetId()) return;
+    spreadsheet.setActiveSheet(sheet);
+    spreadsheet.moveActiveSheet(i + 1);
+  });
+  spreadsheet.setActiveSheet(active);
+}
+
+// `ruleScope` limits which previously rendered conditional rules are replaced,
+// for partial re-renders of a subtree
+function _renderCells(
+  sheet,
+  ctx,
+  cells,
+  regions,
+  options = {},
+  ruleScope = null
+) {
+  const {
+    reconcile = false,
+    consolidateRules = false,
+    clear = false,
+    backend = "spreadsheetApp",
+  } = options;
+  if (backend !== "spreadsheetApp" && backend !== "api") {
+    throw new Error(`Unknown backend "${backend}"`);
+  }
+  if (backend === "api" && reconcile) {
+    throw new Error('The "api" backend does not support reconcile');
+  }
+
+  if (clear && !reconcile) sheet.clear();
+  _applySheetSettings(sheet, ctx);
+  _applyGroups(sheet, ctx);
+  _writeLists(sheet, ctx);
+  if (cells.length === 0) return;
+
+  if (backend === "api") {
+    _commitBatch(sheet, ctx, cells, regions, {
+      scope: ruleScope,
+      consolidate: consolidateRules,
+    });
+    return;
+  }
+
+  const bounds = _calculateBounds(cells);
+  const grids = _buildGrids(sheet, cells, bounds, ctx);
+  _claimRegions(grids, bounds, regions);
+  const snapshot = _createSnapshot(bounds, grids);
+  const previous = reconcile ? _loadSnapshot(sheet, ctx) : null;
+
+  if (previous) {
+    _reconcile(sheet, bounds, grids, previous, snapshot);
+  } else {
+    _commit(sheet, bounds, grids);
+  }
+
+  _replaceConditionalRules(sheet, ctx, grids.conditionalRules, {
+    scope: ruleScope,
+    consolidate: consolidateRules,
+  });
+
+  if (reconcile) _saveSnapshot(sheet, ctx, snapshot);
+}
+
+// Renders keep their snapshot, rules, groups and lists per sheet and anchors,
+// so roots rendered at different anchors of one sheet do not touch each
+// other's state
+function _renderKey(sheet, ctx) {
+  return `${sheet.getSheetId()}.${ctx.anchors.join("+")}`;
+}
+
+// `trace`, when given, records the resolved tree for inspection. `strict`
+// collects problems in `ctx.problems` instead of letting them through.
+function _layout(entries, refs = new Map(), trace = null, strict = false) {
+  const ctx = {
+    occupied: new Set(),
+    refs,
+    conditionalFormats: [],
+    contexts: new Map(),
+    sheet: null,
+    stickyRows: 0,
+    groups: [],
+    nodes: new Map(),
+    lists: new Map(),
+    trace,
+    outlines: [],
+    problems: strict ? [] : null,
+    path: [],
+    owners: new Map(),
+    anchors: [],
+    use(context) {
+      return this.contexts.has(context)
+        ? this.contexts.get(context)
+        : context.defaultValue;
+    },
+  };
+  const cells = [];
+  const regions = [];
+
+  for (const entry of entries) {
+    const { root, anchor = "A1" } = entry.root ? entry : { root: entry };
+    const pos = _parseAnchor(anchor);
+    ctx.anchors.push(`${_columnToLetter(pos.col)}${pos.row}`);
+
+    // Move below anything an earlier root already placed here
+    const start = { ...pos };
+    while (ctx.occupied.has(`${pos.row}:${pos.col}`)) pos.row++;
+    if (pos.row !== start.row) _recordJump(ctx, start, pos);
+
+    const rootCells = _renderNode(root, ctx, pos, new Style());
+    if (rootCells.length > 0) regions.push(_calculateBounds(rootCells));
+    cells.push(...rootCells);
+  }
+
+  ctx.lists = _allocateLists(cells);
+  ctx.sizes = _resolveSizes(cells, ctx);
+  return { ctx, cells, regions };
+}
+
+// Places each distinct dependent-dropdown mapping on the helper sheet, one
+// column per parent value. Allocation follows layout order, so every layout
+// of the same tree agrees on it.
+function _allocateLists(cells) {
+  const lists = new Map();
+  let column = 1;
+  for (const { cell } of cells) {
+    const { type } = cell;
+    if (!(type instanceof Dropdown) || !type.dependsOn) continue;
+    if (lists.has(type.listKey)) continue;
+    lists.set(type.listKey, { column, options: type.options });
+    column += Math.max(1, Object.keys(type.options).length);
+  }
+  return lists;
+}
+
+var _LISTS_SHEET_PREFIX = "ReaSheet lists ";
+
+// Writes the option lists of dependent dropdowns to a hidden helper sheet,
+// one per render, removing it once no dropdown of that render needs it
+function _writeLists(sheet, ctx) {
+  const spreadsheet = sheet.getParent();
+  if (!spreadsheet) return;
+  const name = _listsSheetName(sheet, ctx);
+  let helper = spreadsheet.getSheetByName(name);
+
+  if (ctx.lists.size === 0) {
+    if (helper) spreadsheet.deleteSheet(helper);
+    return;
+  }
+  if (!helper) {
+    const active = spreadsheet.getActiveSheet();
+    helper = spreadsheet.insertSheet(name);
+    helper.hideSheet();
+    spreadsheet.setActiveSheet(active);
+  }
+
+  const columns = [];
+  for (const { options } of ctx.lists.values()) {
+    const entries = Object.entries(options);
+    if (entries.length === 0) columns.push([""]);
+    for (const [parent, values] of entries) columns.push([parent, ...values]);
+  }
+  const height = Math.max(2, ...columns.map((column) => column.length));
+  const grid = Array.from({ length: height }, (_, r) =>
+    columns.map((column) => column[r] ?? "")
+  );
+
+  helper.clear();
+  helper.getRange(1, 1, height, columns.length).setValues(grid);
+}
+
+function _listsSheetName(sheet, ctx) {
+  return _LISTS_SHEET_PREFIX + _renderKey(sheet, ctx);
+}
+
+var _HIDDEN_COLUMNS_PREFIX = "ReaSheet.hiddenColumns.";
+
+// Applies the settings of a Sheet root. Sticky components freeze the rows
+// down to their last row unless frozenRows is set explicitly.
+function _applySheetSettings(sheet, ctx) {
+  const config = ctx.sheet;
+  if (!config) return;
+
+  sheet.setFrozenRows(config.frozenRows ?? ctx.stickyRows);
+  sheet.setFrozenColumns(config.frozenColumns ?? 0);
+  sheet.setTabColor(config.tabColor);
+  sheet.setHiddenGridlines(config.hideGridlines);
+
+  // Columns hidden by an earlier render and no longer listed are shown again
+  const key = _HIDDEN_COLUMNS_PREFIX + sheet.getSheetId();
+  const previous = JSON.parse(_readProperty(key) || "[]");
+  const hidden = [
+    ...new Set(config.hiddenColumns.flatMap((c) => _columnIndexes(c, ctx))),
+  ].sort((a, b) => a - b);
+
+  for (const col of previous) {
+    if (!hidden.includes(col)) sheet.showColumns(col);
+  }
+  for (const col of hidden) sheet.hideColumns(col);
+  if (previous.join() !== hidden.join()) {
+    _writeProperty(key, JSON.stringify(hidden));
+  }
+}
+
+// A column is a 1-based index, a key of a rendered component or a letter
+function _columnIndexes(column, ctx) {
+  if (typeof column === "number") return [column];
+  const bounds = ctx.refs.get(column);
+  if (bounds) {
+    return Array.from(
+      { length: bounds.maxCol - bounds.minCol + 1 },
+      (_, i) => bounds.minCol + i
+    );
+  }
+  if (/^[A-Z]+$/i.test(column)) return [_letterToColumn(column)];
+  throw new Error(`Unknown hidden column "${column}"`);
+}
+
+var _GROUPS_PREFIX = "ReaSheet.groups.";
+
+// Groups are diffed against the ones earlier renders at the same anchors
+// created, so unchanged groups keep the collapsed state the user left them
+// in and groups of other renders on the sheet are left alone. New groups
+// start in their `collapsed` state.
+function _applyGroups(sheet, ctx) {
+  const key = _GROUPS_PREFIX + _renderKey(sheet, ctx);
+  const id = (g) => `${g.direction}:${g.start}:${g.end}`;
+  const previous = JSON.parse(_readProperty(key) || "[]");
+  const next = ctx.groups;
+  if (previous.length === 0 && next.length === 0) return;
+
+  const shift = (g, delta) =>
+    g.direction === "rows"
+      ? sheet
+          .getRange(g.start, 1, g.end - g.start + 1, 1)
+          .shiftRowGroupDepth(delta)
+      : sheet
+          .getRange(1, g.start, 1, g.end - g.start + 1)
+          .shiftColumnGroupDepth(delta);
+
+  // Nested groups may share a range, so each previous group matches once
+  const stale = [...previous];
+  const added = [];
+  for (const g of next) {
+    const i = stale.findIndex((p) => id(p) === id(g));
+    if (i === -1) added.push(g);
+    else stale.splice(i, 1);
+  }
+  for (const g of stale) shift(g, -1);
+  for (const g of added) shift(g, 1);
+
+  for (const direction of ["rows", "columns"]) {
+    const positions = new Set(
+      next
+        .filter((g) => g.direction === direction && g.controlPosition)
+        .map((g) => g.controlPosition)
+    );
+    if (positions.size > 1) {
+      throw new Error(`Groups of ${direction} use different control positions`);
+    }
+    if (positions.size === 0) continue;
+
+    const position =
+      _spreadsheetApp().GroupControlTogglePosition[
+        [...positions][0].toUpperCase()
+      ];
+    if (direction === "rows") sheet.setRowGroupControlPosition(position);
+    else sheet.setColumnGroupControlPosition(position);
+  }
+
+  // Depth is the number of groups containing this one, itself included
+  for (const g of added.filter((g) => g.collapsed)) {
+    const depth = next.filter(
+      (o) => o.direction === g.direction && o.start <= g.start && o.end >= g.end
+    ).length;
+    const group =
+      g.direction === "rows"
+        ? sheet.getRowGroup(g.start, depth)
+        : sheet.getColumnGroup(g.start, depth);
+    group.collapse();
+  }
+
+  if (added.length > 0 || stale.length > 0) {
+    _writeProperty(
+      key,
+      JSON.stringify(
+        next.map(({ direction, start, end }) => ({ direction, start, end }))
+      )
+    );
+  }
+}
+
+// Gaps inside a root belong to the render; space between roots does not
+function _claimRegions(grids, bounds, regions) {
+  for (const region of regions) {
+    for (let r = region.minRow; r <= region.maxRow; r++) {
+      for (let c = region.minCol; c <= region.maxCol; c++) {
+        const row = grids.signatures[r - bounds.minRow];
+        if (row[c - bounds.minCol] === null) row[c - bounds.minCol] = "";
+      }
+    }
+  }
+}
+
+function _commit(sheet, bounds, grids) {
+  const owned = grids.signatures.map((row) => row.map((sig) => sig !== null));
+  for (const rect of _maskToRects(owned)) {
+    _writeGrids(
+      sheet,
+      {
+        minRow: bounds.minRow + rect.row,
+        minCol: bounds.minCol + rect.col,
+        numRows: rect.numRows,
+        numCols: rect.numCols,
+      },
+      _sliceGrids(grids, rect.row, rect.col, rect.numRows, rect.numCols)
+    );
+  }
+  _applyDimensionsAndMerges(sheet, grids);
+}
+
+function _applyDimensionsAndMerges(sheet, grids) {
+  for (const [col, width] of Object.entries(grids.widths)) {
+    sheet.setColumnWidth(parseInt(col), width);
+  }
+  for (const [row, height] of Object.entries(grids.heights)) {
+    sheet.setRowHeight(parseInt(row), height);
+  }
+  for (const m of grids.merges) {
+    sheet.getRange(m.row, m.col, m.rowSpan, m.colSpan).merge();
+  }
+}
+
+// Rewrites every cell property of a rectangular region. Borders can be left
+// for a later pass, as chunked renders do. range.clear() would also drop the
+// lines on the region's edge, which neighbouring cells share, so only the
+// inner lines are cleared; `stale(row, col, side)` picks the edge lines an
+// earlier render drew that can go.
+function _writeGrids(sheet, bounds, grids, withBorders = true, stale = null) {
+  const range = sheet.getRange(
+    bounds.minRow,
+    bounds.minCol,
+    bounds.numRows,
+    bounds.numCols
+  );
+
+  // Bulk apply styles. Rotation, vertical text and direction are reset too,
+  // which the values and formats written here do not cover
+  range
+    .setVerticalText(false)
+    .setTextRotations(grids.rotations)
+    .setTextDirections(grids.textDirections)
+    .setValues(grids.values)
+    .setNotes(grids.notes)
+    .setBackgrounds(grids.backgrounds)
+    .setFontColors(grids.fontColors)
+    .setFontSizes(grids.fontSizes)
+    .setFontFamilies(grids.fontFamilies)
+    .setFontWeights(grids.fontWeights)
+    .setFontStyles(grids.fontStyles)
+    .setFontLines(grids.fontLines.map((row) => row.map(_singleFontLine)))
+    .setHorizontalAlignments(grids.hAligns)
+    .setVerticalAlignments(grids.vAligns)
+    .setWrapStrategies(grids.wraps)
+    .setNumberFormats(grids.numberFormats)
+    .setDataValidations(grids.validations);
+
+  // Formulas (written over the static values)
+  if (grids.hasFormulas) {
+    _applySparse(sheet, bounds, grids.formulas, (r, values) =>
+      r.setFormulas(values)
+    );
+  }
+
+  // Underline with strikethrough (before rich text, which styles runs on top)
+  if (grids.hasTextStyles) {
+    _applySparse(sheet, bounds, grids.textStyles, (r, values) =>
+      r.setTextStyles(values)
+    );
+  }
+
+  // Rich text (written over the plain text values)
+  if (grids.hasRichText) {
+    _applySparse(sheet, bounds, grids.richTexts, (r, values) =>
+      r.setRichTextValues(values)
+    );
+  }
+
+  if (grids.hasVerticalText) {
+    for (const rect of _maskToRects(grids.verticalTexts)) {
+      sheet
+        .getRange(
+          bounds.minRow + rect.row,
+          bounds.minCol + rect.col,
+          rect.numRows,
+          rect.numCols
+        )
+        .setVerticalText(true);
+    }
+  }
+
+  if (bounds.numRows > 1 || bounds.numCols > 1) {
+    range.setBorder(null, null, null, null, false, false);
+  }
+  if (stale) _clearEdges(sheet, bounds, stale);
+
+  // Borders (RLE optimized)
+  if (withBorders) _applyBorders(sheet, bounds, grids.borders);
+}
+
+// Removes the lines on each side of a region where `stale(row, col, side)`
+// holds, one setBorder call per run of neighbouring cells
+function _clearEdges(sheet, bounds, stale) {
+  const { minRow, minCol, maxRow, maxCol } = _withMax(bounds);
+  const sides = [
+    { side: "top", cells: _span(minCol, maxCol).map((col) => [minRow, col]) },
+    {
+      side: "bottom",
+      cells: _span(minCol, maxCol).map((col) => [maxRow, col]),
+    },
+    { side: "left", cells: _span(minRow, maxRow).map((row) => [row, minCol]) },
+    { side: "right", cells: _span(minRow, maxRow).map((row) => [row, maxCol]) },
+  ];
+  const flags = ["top", "left", "bottom", "right"];
+
+  for (const { side, cells } of sides) {
+    let run = null;
+    for (const [row, col] of [...cells, [null, null]]) {
+      if (row !== null && stale(row, col, side)) {
+        run = run || { row, col, numRows: 0, numCols: 0 };
+        run.numRows = row - run.row + 1;
+        run.numCols = col - run.col + 1;
+        continue;
+      }
+      if (!run) continue;
+      sheet
+        .getRange(run.row, run.col, run.numRows, run.numCols)
+        .setBorder(
+          ...flags.map((flag) => (flag === side ? false : null)),
+          null,
+          null
+        );
+      run = null;
+    }
+  }
+}
+
+function _withMax(bounds) {
+  return {
+    ...bounds,
+    maxRow: bounds.minRow + bounds.numRows - 1,
+    maxCol: bounds.minCol + bounds.numCols - 1,
+  };
+}
+
+function _span(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// CSS text-decoration-line of a font, e.g. "underline line-through"
+function _fontLine(font) {
+  const lines = [
+    font.underline && "underline",
+    font.strikethrough && "line-through",
+  ].filter(Boolean);
+  return lines.length > 0 ? lines.join(" ") : null;
+}
+
+function _singleFontLine(line) {
+  return line === "underline line-through" ? "underline" : line;
+}
+
+// Sheets has no cell padding, so it is emulated with quoted spaces around
+// every section of the number format. Text is padded through "@" unless the
+// format has its own text section; numbers and formulas without a format
+// are left as they are.
+function _paddedFormat(pattern, padding, value) {
+  const { left, right } = padding;
+  if (!left && !right) return pattern;
+  if (typeof value === "string" && value !== "") {
+    if (_formatSections(pattern).length < 4) pattern = "@";
+  } else if (pattern === "General") {
+    return pattern;
+  }
+  const before = left ? `"${" ".repeat(left)}"` : "";
+  const after = right ? `"${" ".repeat(right)}"` : "";
+  return _formatSections(pattern)
+    .map((section) => (section ? `${before}${section}${after}` : section))
+    .join(";");
+}
+
+// Splits a number format on the semicolons outside quotes
+function _formatSections(pattern) {
+  const sections = [""];
+  let quoted = false;
+  for (const char of pattern) {
+    if (char === '"') quoted = !quoted;
+    if (char === ";" && !quoted) sections.push("");
+    else sections[sections.length - 1] += char;
+  }
+  return sections;
+}
+
+function _calculateBounds(cells) {
+  let minRow = Infinity,
+    maxRow = 0,
+    minCol = Infinity,
+    maxCol = 0;
+
+  for (const c of cells) {
+    minRow = Math.min(minRow, c.row);
+    maxRow = Math.max(maxRow, c.row + (c.cell.rowSpan || 1) - 1);
+    minCol = Math.min(minCol, c.col);
+    maxCol = Math.max(maxCol, c.col + (c.cell.colSpan || 1) - 1);
+  }
+
+  return {
+    minRow,
+    maxRow,
+    minCol,
+    maxCol,
+    numRows: maxRow - minRow + 1,
+    numCols: maxCol - minCol + 1,
+  };
+}
+
+// Grids of cells with nothing set, as range.clear() leaves them
+function _emptyGrids(numRows, numCols) {
+  const grid = (fill) =>
+    Array.from({ length: numRows }, () => Array(numCols).fill(fill));
+
+  return {
+    values: grid(""),
+    formulas: grid(""),
+    richTexts: grid(null),
+    notes: grid(""),
+    backgrounds: grid(null),
+    fontColors: grid(null),
+    fontSizes: grid(null),
+    fontFamilies: grid(null),
+    fontWeights: grid(null),
+    fontStyles: grid(null),
+    fontLines: grid(null),
+    textStyles: grid(null),
+    hAligns: grid(null),
+    vAligns: grid(null),
+    wraps: grid(WrapStrategy.OVERFLOW),
+    numberFormats: grid("General"),
+    validations: grid(null),
+    rotations: grid(0),
+    verticalTexts: grid(false),
+    textDirections: grid(null),
+    borders: grid(null),
+    signatures: grid(null),
+    widths: {},
+    heights: {},
+    merges: [],
+    conditionalRules: [],
+    hasVerticalText: false,
+    hasTextStyles: false,
+    hasFormulas: false,
+    hasRichText: false,
+  };
+}
+
+// `app` builds the validations, rich text and rules, and
+// `rangeAt(row, col, numRows, numCols)` supplies the ranges they are built
+// against
+function _buildGrids(
+  sheet,
+  cells,
+  bounds,
+  ctx,
+  {
+    app = _spreadsheetApp(),
+    rangeAt = (...args) => sheet.getRange(...args),
+  } = {}
+) {
+  const { minRow, minCol, numRows, numCols } = bounds;
+  const grids = _emptyGrids(numRows, numCols);
+
+  for (const c of cells) {
+    const { row, col, cell, style } = c;
+    const { type, note, rowSpan, colSpan } = cell;
+    const range = rangeAt(row, col, rowSpan, colSpan);
+    const directives = { ...type.getDirectives?.(range, ctx, style, app) };
+    if (cell.validation) {
+      directives.validation = cell.validation.build(range, ctx, app);
+    }
+
+    // Identity of everything written for this cell, used to diff renders
+    const signature = JSON.stringify(
+      [
+        type.constructor.name,
+        type,
+        style,
+        note,
+        directives.formula || "",
+        directives.validation
+          ? _validationSignature(directives.validation)
+          : "",
+        cell.conditionalFormats,
+        rowSpan,
+        colSpan,
+      ],
+      _signatureReplacer
+    );
+
+    // Conditional rules
+    if (directives.conditionalFormatRules) {
+      grids.conditionalRules.push(...directives.conditionalFormatRules);
+    }
+
+    // Merges
+    if (rowSpan > 1 || colSpan > 1) {
+      grids.merges.push({ row, col, rowSpan, colSpan });
+    }
+
+    const fontLine = _fontLine(style.font);
+    // setFontLines takes one line per cell, so both go through a text style
+    const textStyle =
+      fontLine === "underline line-through"
+        ? _buildTextStyle(app, style.font)
+        : null;
+    const numberFormat = _paddedFormat(
+      directives.numberFormat || style.numberFormat || "General",
+      style.padding,
+      directives.formula ? null : type.value
+    );
+
+    // Fill grid cells, leaving out rows outside `bounds` (chunked renders
+    // build one band at a time)
+    for (let rOff = 0; rOff < rowSpan; rOff++) {
+      const r = row - minRow + rOff;
+      if (r < 0 || r >= numRows) continue;
+      for (let cOff = 0; cOff < colSpan; cOff++) {
+        const c_idx = col - minCol + cOff;
+        const isTopLeft = rOff === 0 && cOff === 0;
+
+        grids.values[r][c_idx] = isTopLeft ? type.value : "";
+        grids.notes[r][c_idx] = isTopLeft ? note : "";
+        grids.backgrounds[r][c_idx] = style.backgroundColor;
+        grids.fontColors[r][c_idx] = style.font.color;
+        grids.fontSizes[r][c_idx] = style.font.size;
+        grids.fontFamilies[r][c_idx] = style.font.family;
+        grids.fontWeights[r][c_idx] = style.font.bold ? "bold" : "normal";
+        grids.fontStyles[r][c_idx] = style.font.italic ? "italic" : "normal";
+        grids.fontLines[r][c_idx] = fontLine;
+        grids.textStyles[r][c_idx] = textStyle;
+        grids.hAligns[r][c_idx] = style.alignment.horizontal;
+        grids.vAligns[r][c_idx] = style.alignment.vertical;
+        grids.wraps[r][c_idx] = style.wrap;
+        grids.rotations[r][c_idx] = style.rotation;
+        grids.verticalTexts[r][c_idx] = style.verticalText;
+        grids.textDirections[r][c_idx] = style.textDirection;
+        grids.numberFormats[r][c_idx] = numberFormat;
+        grids.validations[r][c_idx] = directives.validation || null;
+        grids.signatures[r][c_idx] = _hash(`${signature}|${rOff}:${cOff}`);
+
+        if (directives.formula && isTopLeft) {
+          grids.formulas[r][c_idx] = directives.formula;
+          grids.hasFormulas = true;
+        }
+
+        if (directives.richText && isTopLeft) {
+          grids.richTexts[r][c_idx] = directives.richText;
+          grids.hasRichText = true;
+        }
+
+        if (style.verticalText) grids.hasVerticalText = true;
+        if (textStyle) grids.hasTextStyles = true;
+
+        grids.borders[r][c_idx] = _spanBorder(style.border, cell, rOff, cOff);
+      }
+    }
+  }
+
+  _applyOutlines(grids, bounds, ctx);
+
+  // Component-level conditional formats cover their whole region
+  for (const { bounds: region, formats, theme } of ctx.conditionalFormats) {
+    if (!_contains(bounds, region)) continue;
+    const range = rangeAt(
+      region.minRow,
+      region.minCol,
+      region.numRows,
+      region.numCols
+    );
+    for (const format of formats) {
+      grids.conditionalRules.push(format.build(range, ctx, theme, app));
+    }
+  }
+
+  // Column widths and row heights were resolved with the layout
+  for (const [col, width] of Object.entries(ctx.sizes.widths)) {
+    if (col >= minCol && col < minCol + numCols) grids.widths[col] = width;
+  }
+  for (const [row, height] of Object.entries(ctx.sizes.heights)) {
+    if (row >= minRow && row < minRow + numRows) grids.heights[row] = height;
+  }
+
+  return grids;
+}
+
+// Border of one position in a cell's span: only its outer edges
+function _spanBorder(border, { rowSpan, colSpan }, rOff, cOff) {
+  return {
+    top: rOff === 0 ? border.top : null,
+    bottom: rOff === rowSpan - 1 ? border.bottom : null,
+    left: cOff === 0 ? border.left : null,
+    right: cOff === colSpan - 1 ? border.right : null,
+  };
+}
+
+// Stacks register after their children; walking them in reverse draws
+// outer stacks first, so an inner outline wins where the two overlap
+function _applyOutlines(grids, bounds, ctx) {
+  for (const { bounds: region, outline, dividers, children } of [
+    ...ctx.outlines,
+  ].reverse()) {
+    if (_contains(bounds, region)) {
+      _applyOutline(grids, bounds, region, outline, dividers, children);
+    }
+  }
+}
+
+// Sets the perimeter of a stack's region and the dividers along the edges
+// of its children on the cells' borders. Gaps the stack's children left are
+// claimed so the lines are drawn across them too.
+function _applyOutline(grids, bounds, region, outline, dividers, children) {
+  const edges = outline || {};
+  const inner = _dividerSides(region, dividers, children);
+
+  for (let row = region.minRow; row <= region.maxRow; row++) {
+    for (let col = region.minCol; col <= region.maxCol; col++) {
+      const r = row - bounds.minRow;
+      const c = col - bounds.minCol;
+      const divided = inner.get(`${row}:${col}`) || {};
+      const sides = {
+        top: row === region.minRow ? edges.top : divided.top,
+        bottom: row === region.maxRow ? edges.bottom : divided.bottom,
+        left: col === region.minCol ? edges.left : divided.left,
+        right: col === region.maxCol ? edges.right : divided.right,
+      };
+      const border = { top: null, bottom: null, left: null, right: null };
+      Object.assign(border, grids.borders[r][c]);
+      for (const [name, side] of Object.entries(sides)) {
+        if (side) border[name] = side;
+      }
+
+      grids.borders[r][c] = border;
+      grids.signatures[r][c] = _hash(
+        `${grids.signatures[r][c] ?? ""}|${JSON.stringify(
+          border,
+          _signatureReplacer
+        )}`
+      );
+    }
+  }
+}
+
+// Divider sides by "row:col", on the edges of each child that lie inside
+// the region
+function _dividerSides(region, dividers, children) {
+  const { horizontal = null, vertical = null } = dividers || {};
+  const sides = new Map();
+  const mark = (row, col, side, line) => {
+    const key = `${row}:${col}`;
+    sides.set(key, { ...sides.get(key), [side]: line });
+  };
+
+  for (const child of children) {
+    for (let col = child.minCol; horizontal && col <= child.maxCol; col++) {
+      if (child.minRow > region.minRow) {
+        mark(child.minRow, col, "top", horizontal);
+      }
+      if (child.maxRow < region.maxRow) {
+        mark(child.maxRow, col, "bottom", horizontal);
+      }
+    }
+    for (let row = child.minRow; vertical && row <= child.maxRow; row++) {
+      if (child.minCol > region.minCol) {
+        mark(row, child.minCol, "left", vertical);
+      }
+      if (child.maxCol < region.maxCol) {
+        mark(row, child.maxCol, "right", vertical);
+      }
+    }
+  }
+  return sides;
+}
+
+function _contains(outer, inner) {
+  return (
+    inner.minRow >= outer.minRow &&
+    inner.maxRow <= outer.maxRow &&
+    inner.minCol >= outer.minCol &&
+    inner.maxCol <= outer.maxCol
+  );
+}
+
+function _applyBorders(sheet, bounds, borders) {
+  for (const rect of _borderRects(bounds, borders)) {
+    sheet
+      .getRange(rect.row, rect.col, rect.numRows, rect.numCols)
+      .setBorder(
+        rect.top || null,
+        rect.left || null,
+        rect.bottom || null,
+        rect.right || null,
+        rect.vertical || null,
+        rect.horizontal || null,
+        rect.side.color,
+        rect.side.style
+      );
+  }
+}
+
+// Coalesces the cells' borders into rectangles of identical edges, each
+// drawn by one setBorder call with the flags it needs. Edges are collected
+// on the lines between cells first; where two cells disagree about the line
+// they share, the lower (or right) cell wins.
+function _borderRects(bounds, borders) {
+  const { minRow, minCol, numRows, numCols } = bounds;
+  const lines = (rows, cols) =>
+    Array.from({ length: rows }, () => Array(cols).fill(null));
+  const horizontal = lines(numRows + 1, numCols);
+  const vertical = lines(numRows, numCols + 1);
+
+  for (let r = 0; r < numRows; r++) {
+    for (let c = 0; c < numCols; c++) {
+      const b = borders[r][c];
+      if (!b) continue;
+      if (b.top) horizontal[r][c] = b.top;
+      if (b.bottom) horizontal[r + 1][c] = b.bottom;
+      if (b.left) vertical[r][c] = b.left;
+      if (b.right) vertical[r][c + 1] = b.right;
+    }
+  }
+
+  const rects = new Map();
+  const add = (cells, side, flags) => {
+    const key = `${cells.row}:${cells.col}:${cells.numRows}:${
+      cells.numCols
+    }|${_sideKey(side)}`;
+    const rect = rects.get(key) || { ...cells, side };
+    rects.set(key, Object.assign(rect, flags));
+  };
+
+  // A stack of n lines is the top, bottom and inner lines of n - 1 rows
+  for (const { side, rect } of _lineRects(horizontal)) {
+    const last = rect.row + rect.numRows - 1;
+    const cells = {
+      row: minRow + Math.min(rect.row, numRows - 1),
+      col: minCol + rect.col,
+      numRows: Math.max(rect.numRows - 1, 1),
+      numCols: rect.numCols,
+    };
+    if (rect.numRows === 1) {
+      add(cells, side, rect.row < numRows ? { top: true } : { bottom: true });
+    } else {
+      add(cells, side, {
+        top: true,
+        bottom: true,
+        horizontal: last - rect.row > 1,
+      });
+    }
+  }
+  for (const { side, rect } of _lineRects(vertical)) {
+    const last = rect.col + rect.numCols - 1;
+    const cells = {
+      row: minRow + rect.row,
+      col: minCol + Math.min(rect.col, numCols - 1),
+      numRows: rect.numRows,
+      numCols: Math.max(rect.numCols - 1, 1),
+    };
+    if (rect.numCols === 1) {
+      add(cells, side, rect.col < numCols ? { left: true } : { right: true });
+    } else {
+      add(cells, side, {
+        left: true,
+        right: true,
+        vertical: last - rect.col > 1,
+      });
+    }
+  }
+  return [...rects.values()];
+}
+
+// Rectangles of identical border sides in a grid of lines
+function _lineRects(lines) {
+  const bySide = new Map();
+  lines.forEach((row, r) =>
+    row.forEach((side, c) => {
+      if (!side) return;
+      const key = _sideKey(side);
+      if (!bySide.has(key)) {
+        bySide.set(key, {
+          side,
+          mask: lines.map((cells) => cells.map(() => false)),
+        });
+      }
+      bySide.get(key).mask[r][c] = true;
+    })
+  );
+
+  const rects = [];
+  for (const { side, mask } of bySide.values()) {
+    for (const rect of _maskToRects(mask)) rects.push({ side, rect });
+  }
+  return rects;
+}
+
+function _sideKey(side) {
+  return `${side.color ?? ""}|${String(side.style ?? BorderStyle.SOLID)}`;
+}
+
+// Writes row runs of non-empty grid entries, for properties such as formulas
+// that cannot be set over blank cells without clearing them
+function _applySparse(sheet, bounds, grid, apply) {
+  const { minRow, minCol, numRows, numCols } = bounds;
+
+  for (let r = 0; r < numRows; r++) {
+    let c = 0;
+    while (c < numCols) {
+      if (!grid[r][c]) {
+        c++;
+        continue;
+      }
+
+      let len = 1;
+      while (c + len < numCols && grid[r][c + len]) len++;
+
+      apply(sheet.getRange(minRow + r, minCol + c, 1, len), [
+        grid[r].slice(c, c + len),
+      ]);
+      c += len;
+    }
+  }
+}
+
+function _columnToLetter(col) {
+  let letters = "";
+  while (col > 0) {
+    const rem = (col - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    col = Math.floor((col - 1) / 26);
+  }
+  return letters;
+}
+
+function _letterToColumn(letters) {
+  let col = 0;
+  for (const ch of letters.toUpperCase()) {
+    col = col * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return col;
+}
+
+function _parseAnchor(anchor) {
+  if (typeof anchor !== "string") return { row: anchor.row, col: anchor.col };
+
+  const match = /^([A-Z]+)(\d+)$/i.exec(anchor.trim());
+  if (!match) throw new Error(`Invalid anchor "${anchor}"`);
+  return { row: parseInt(match[2], 10), col: _letterToColumn(match[1]) };
+}
+
+function _toA1(bounds, absolute = false) {
+  const $ = absolute ? "$" : "";
+  const start = `${$}${_columnToLetter(bounds.minCol)}${$}${bounds.minRow}`;
+  if (bounds.numRows === 1 && bounds.numCols === 1) return start;
+  return `${start}:${$}${_columnToLetter(bounds.maxCol)}${$}${bounds.maxRow}`;
+}
+
+// ============================================================================
+// SIZING
+// ============================================================================
+
+// A style's `width`/`height` is a size in pixels, "auto", or `{ min, max }`
+// (auto within bounds). Widths can also take a share of the sheet's
+// `totalWidth`: "2fr" or `{ fr, min, max }`. Apps Script cannot measure
+// text, so auto sizes are estimated from text length, font size and wrapping.
+
+var _DEFAULT_COLUMN_WIDTH = 100;
+var _DEFAULT_ROW_HEIGHT = 21;
+
+// Column widths are resolved first, since wrapped text needs them to know
+// how many lines it takes
+function _resolveSizes(cells, ctx) {
+  const warnings = [];
+  const columns = _collectSizes(cells, "width", warnings);
+  const rows = _collectSizes(cells, "height", warnings);
+  const widths = {};
+  const heights = {};
+
+  // Only cells within a single column (or row) count towards auto sizes
+  const byCol = _groupCells(cells, (c) => c.cell.colSpan === 1 && c.col);
+  const byRow = _groupCells(cells, (c) => c.cell.rowSpan === 1 && c.row);
+
+  const fractions = [];
+  for (const [col, spec] of columns) {
+    if (spec.fr) fractions.push([col, spec]);
+    else if (spec.fixed !== undefined) widths[col] = spec.fixed;
+    else widths[col] = _clampSize(_contentWidth(byCol.get(col)), spec);
+  }
+  if (fractions.length > 0) {
+    _shareWidth(cells, widths, fractions, ctx.sheet?.totalWidth ?? null);
+  }
+
+  for (const [row, spec] of rows) {
+    heights[row] =
+      spec.fixed !== undefined
+        ? spec.fixed
+        : _clampSize(_contentHeight(byRow.get(row), widths), spec);
+  }
+
+  if (ctx.problems) {
+    const path = ctx.sheet ? _pathSegment(ctx.sheet, null) : "";
+    for (const message of warnings) ctx.problems.push({ path, message });
+  }
+  return { widths, heights, warnings };
+}
+
+// Groups the sizes components ask for by column (or row). Where they differ,
+// fixed sizes beat fractions, which beat auto: the largest fixed size or
+// fraction wins and auto bounds are intersected.
+function _collectSizes(cells, property, warnings) {
+  const isWidth = property === "width";
+  const requests = new Map();
+  for (const c of cells) {
+    const value = c.style[property];
+    if (value === null) continue;
+    const line = isWidth ? c.col : c.row;
+    const spec = _sizeSpec(value, property);
+    const key = JSON.stringify(spec);
+    if (!requests.has(line)) requests.set(line, new Map());
+    if (!requests.get(line).has(key)) {
+      requests.get(line).set(key, { spec, value, at: _cellA1(c) });
+    }
+  }
+
+  const resolved = new Map();
+  for (const [line, byKey] of [...requests].sort(([a], [b]) => a - b)) {
+    const entries = [...byKey.values()];
+    const spec = _mergeSizeSpecs(entries.map((entry) => entry.spec));
+    if (entries.length > 1) {
+      const name = isWidth ? `Column ${_columnToLetter(line)}` : `Row ${line}`;
+      const asked = entries
+        .map(({ value, at }) => `${JSON.stringify(value)} (${at})`)
+        .join(", ");
+      warnings.push(
+        `${name} has conflicting ${property}s: ${asked}; using ${_describeSize(
+          spec
+        )}`
+      );
+    }
+    resolved.set(line, spec);
+  }
+  return resolved;
+}
+
+function _sizeSpec(value, property) {
+  let spec = null;
+  const fraction =
+    typeof value === "string" && /^(\d+(?:\.\d+)?)fr$/.exec(value.trim());
+  if (typeof value === "number" && value >= 0) {
+    spec = { fixed: value };
+  } else if (value === "auto") {
+    spec = { auto: true };
+  } else if (fraction) {
+    spec = { fr: parseFloat(fraction[1]) };
+  } else if (value && typeof value === "object") {
+    spec = value.fr ? { fr: value.fr } : { auto: true };
+    if (value.min !== undefined) spec.min = value.min;
+    if (value.max !== undefined) spec.max = value.max;
+  }
+
+  if (!spec) throw new Error(`Invalid ${property} ${JSON.stringify(value)}`);
+  if (spec.fr && property !== "width") {
+    throw new Error(`Only widths can be fractions, got height "${value}"`);
+  }
+  return spec;
+}
+
+function _mergeSizeSpecs(specs) {
+  const fixed = specs.filter((spec) => spec.fixed !== undefined);
+  if (fixed.length > 0) {
+    return { fixed: Math.max(...fixed.map((spec) => spec.fixed)) };
+  }
+
+  const fractions = specs.filter((spec) => spec.fr);
+  const flexible = fractions.length > 0 ? fractions : specs;
+  const merged =
+    fractions.length > 0
+      ? { fr: Math.max(...fractions.map((spec) => spec.fr)) }
+      : { auto: true };
+  const mins = flexible.filter((spec) => spec.min !== undefined);
+  const maxes = flexible.filter((spec) => spec.max !== undefined);
+  if (mins.length > 0) merged.min = Math.max(...mins.map((spec) => spec.min));
+  if (maxes.length > 0) merged.max = Math.min(...maxes.map((spec) => spec.max));
+  return merged;
+}
+
+function _describeSize(spec) {
+  if (spec.fixed !== undefined) return `${spec.fixed}px`;
+  const base = spec.fr ? `${spec.fr}fr` : "auto";
+  const bounds = [
+    spec.min !== undefined && `min ${spec.min}`,
+    spec.max !== undefined && `max ${spec.max}`,
+  ].filter(Boolean);
+  return bounds.length > 0 ? `${base} (${bounds.join(", ")})` : base;
+}
+
+// A minimum above the maximum wins
+function _clampSize(size, { min = 0, max = Infinity }) {
+  return Math.round(Math.max(min, Math.min(max, size)));
+}
+
+// Fractions split what the layout's other columns leave of `totalWidth`.
+// Without one, a fraction is a default column width.
+function _shareWidth(cells, widths, fractions, totalWidth) {
+  let unit = _DEFAULT_COLUMN_WIDTH;
+  if (totalWidth !== null) {
+    const { minCol, maxCol } = _calculateBounds(cells);
+    const shared = new Set(fractions.map(([col]) => col));
+    let used = 0;
+    for (let col = minCol; col <= maxCol; col++) {
+      if (shared.has(col)) continue;
+      used += widths[col] ?? _DEFAULT_COLUMN_WIDTH;
+    }
+    const shares = fractions.reduce((sum, [, spec]) => sum + spec.fr, 0);
+    unit = Math.max(0, totalWidth - used) / shares;
+  }
+  for (const [col, spec] of fractions) {
+    widths[col] = _clampSize(spec.fr * unit, spec);
+  }
+}
+
+function _groupCells(cells, keyOf) {
+  const groups = new Map();
+  for (const c of cells) {
+    const key = keyOf(c);
+    if (key === false) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
+  }
+  return groups;
+}
+
+// A column or row with nothing to measure keeps the default size
+function _contentWidth(cells = []) {
+  let width = null;
+  for (const c of cells) {
+    width = Math.max(width ?? 0, _estimateSize(c).width);
+  }
+  return width ?? _DEFAULT_COLUMN_WIDTH;
+}
+
+function _contentHeight(cells = [], widths) {
+  let height = null;
+  for (const c of cells) {
+    let columnWidth = 0;
+    for (let col = c.col; col < c.col + c.cell.colSpan; col++) {
+      columnWidth += widths[col] ?? _DEFAULT_COLUMN_WIDTH;
+    }
+    height = Math.max(height ?? 0, _estimateSize(c, columnWidth).height);
+  }
+  return height ?? _DEFAULT_ROW_HEIGHT;
+}
+
+// Rough pixel size of a cell's displayed text. Characters are taken to be
+// 0.55em wide (0.6em bold) and lines 1.2em high, plus the cell's insets.
+function _estimateSize({ cell, style }, columnWidth = null) {
+  const { type } = cell;
+  const { font, padding } = style;
+  const em = (font.size * 4) / 3;
+  const charWidth = em * (font.bold ? 0.6 : 0.55);
+  const lineHeight = em * 1.2;
+  const lines = _displayText(type, style).split("\n");
+  const longest = Math.max(...lines.map((line) => line.length));
+  const control = type instanceof Checkbox || type instanceof Dropdown ? 20 : 0;
+
+  let width =
+    (longest + (padding.left || 0) + (padding.right || 0)) * charWidth +
+    control;
+  let count = lines.length;
+  if (style.wrap === WrapStrategy.WRAP && columnWidth) {
+    const room = Math.max(charWidth, columnWidth - 8 - control);
+    count = lines.reduce(
+      (sum, line) =>
+        sum + Math.max(1, Math.ceil((line.length * charWidth) / room)),
+      0
+    );
+  }
+  let height = count * lineHeight;
+
+  if (style.verticalText) {
+    [width, height] = [lineHeight, longest * lineHeight];
+  } else if (style.rotation) {
+    const angle = (style.rotation * Math.PI) / 180;
+    const [cos, sin] = [Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle))];
+    [width, height] = [width * cos + height * sin, width * sin + height * cos];
+  }
+  return { width: width + 8, height: height + 5 };
+}
+
+// The text a cell shows. Formula results are unknown until the sheet
+// computes them, and a dropdown is as wide as its longest option.
+function _displayText(type, style) {
+  if (type instanceof Checkbox || type instanceof Formula) return "";
+  if (type instanceof Dropdown) {
+    return type.plainValues
+      .map(String)
+      .reduce(
+        (longest, value) => (value.length > longest.length ? value : longest),
+        ""
+      );
+  }
+  return _formatValue(type.value, _displayFormat(type, style));
+}
+
+// Number format a cell's value is displayed with
+function _displayFormat(type, style) {
+  if (type instanceof NumberCell) {
+    return type.getDirectives(null, null, style).numberFormat;
+  }
+  return type.format || style.numberFormat;
+}
+
+function _cellA1({ row, col }) {
+  return `${_columnToLetter(col)}${row}`;
+}
+
+// ============================================================================
+// RECONCILER
+// ============================================================================
+
+var _SNAPSHOT_PREFIX = "ReaSheet.snapshot.";
+var _PROPERTY_CHUNK_SIZE = 8000;
+
+// The lines each cell drew, one hex digit per cell
+var _EDGE_BITS = Object.freeze({ top: 1, bottom: 2, left: 4, right: 8 });
+
+// Side of the neighbouring cell that shares each line
+var _ACROSS = Object.freeze({
+  top: [-1, 0, "bottom"],
+  bottom: [1, 0, "top"],
+  left: [0, -1, "right"],
+  right: [0, 1, "left"],
+});
+
+function _createSnapshot(bounds, grids) {
+  return {
+    minRow: bounds.minRow,
+    minCol: bounds.minCol,
+    signatures: grids.signatures,
+    edges: grids.borders.map((row) =>
+      row
+        .map((border) =>
+          Object.entries(_EDGE_BITS)
+            .reduce(
+              (bits, [side, bit]) => (border?.[side] ? bits | bit : bits),
+              0
+            )
+            .toString(16)
+        )
+        .join("")
+    ),
+    merges: grids.merges,
+    widths: grids.widths,
+    heights: grids.heights,
+  };
+}
+
+// Writes only the cells whose signature changed since the previous render and
+// clears cells the previous render occupied but the new one does not. Lines
+// the previous render drew are removed unless a cell still claims them.
+function _reconcile(sheet, bounds, grids, previous, next) {
+  const prevRows = previous.signatures.length;
+  const prevCols = previous.signatures[0]?.length || 0;
+  const union = {
+    minRow: Math.min(bounds.minRow, previous.minRow),
+    minCol: Math.min(bounds.minCol, previous.minCol),
+    maxRow: Math.max(bounds.maxRow, previous.minRow + prevRows - 1),
+    maxCol: Math.max(bounds.maxCol, previous.minCol + prevCols - 1),
+  };
+  const numRows = union.maxRow - union.minRow + 1;
+  const numCols = union.maxCol - union.minCol + 1;
+  const signatureAt = (snapshot, row, col) =>
+    snapshot.signatures[row - snapshot.minRow]?.[col - snapshot.minCol] ?? null;
+  const drew = (row, col, side) => {
+    const digit =
+      previous.edges[row - previous.minRow]?.[col - previous.minCol] || "0";
+    return (parseInt(digit, 16) & _EDGE_BITS[side]) !== 0;
+  };
+  const claims = (row, col, side) =>
+    !!grids.borders[row - bounds.minRow]?.[col - bounds.minCol]?.[side];
+  const stale = (row, col, side) => {
+    const [dRow, dCol, opposite] = _ACROSS[side];
+    return (
+      drew(row, col, side) &&
+      !claims(row, col, side) &&
+      !claims(row + dRow, col + dCol, opposite)
+    );
+  };
+
+  const writeMask = [];
+  const clearMask = [];
+  for (let r = 0; r < numRows; r++) {
+    writeMask.push([]);
+    clearMask.push([]);
+    for (let c = 0; c < numCols; c++) {
+      const row = union.minRow + r;
+      const col = union.minCol + c;
+      const nextSig = signatureAt(next, row, col);
+      const prevSig = signatureAt(previous, row, col);
+      writeMask[r].push(nextSig !== null && nextSig !== prevSig);
+      clearMask[r].push(nextSig === null && !!prevSig);
+    }
+  }
+
+  // Break merges that no longer exist before touching their cells
+  const mergeKey = (m) => `${m.row}:${m.col}:${m.rowSpan}:${m.colSpan}`;
+  const prevMerges = new Set(previous.merges.map(mergeKey));
+  const nextMerges = new Set(grids.merges.map(mergeKey));
+  for (const m of previous.merges) {
+    if (nextMerges.has(mergeKey(m))) continue;
+    sheet.getRange(m.row, m.col, m.rowSpan, m.colSpan).breakApart();
+  }
+
+  for (const rect of _maskToRects(clearMask)) {
+    _writeGrids(
+      sheet,
+      {
+        minRow: union.minRow + rect.row,
+        minCol: union.minCol + rect.col,
+        numRows: rect.numRows,
+        numCols: rect.numCols,
+      },
+      _emptyGrids(rect.numRows, rect.numCols),
+      false,
+      stale
+    );
+  }
+
+  for (const rect of _maskToRects(writeMask)) {
+    const row = union.minRow + rect.row;
+    const col = union.minCol + rect.col;
+    _writeGrids(
+      sheet,
+      {
+        minRow: row,
+        minCol: col,
+        numRows: rect.numRows,
+        numCols: rect.numCols,
+      },
+      _sliceGrids(
+        grids,
+        row - bounds.minRow,
+        col - bounds.minCol,
+        rect.numRows,
+        rect.numCols
+      ),
+      true,
+      stale
+    );
+  }
+
+  // Dimensions, with the ones the new render dropped back at their defaults
+  for (const [col, width] of Object.entries(grids.widths)) {
+    if (previous.widths[col] === width) continue;
+    sheet.setColumnWidth(parseInt(col), width);
+  }
+  for (const [row, height] of Object.entries(grids.heights)) {
+    if (previous.heights[row] === height) continue;
+    sheet.setRowHeight(parseInt(row), height);
+  }
+  for (const col of Object.keys(previous.widths)) {
+    if (col in grids.widths) continue;
+    sheet.setColumnWidth(parseInt(col), _DEFAULT_COLUMN_WIDTH);
+  }
+  for (const row of Object.keys(previous.heights)) {
+    if (row in grids.heights) continue;
+    sheet.setRowHeight(parseInt(row), _DEFAULT_ROW_HEIGHT);
+  }
+
+  // Merges
+  for (const m of grids.merges) {
+    if (prevMerges.has(mergeKey(m))) continue;
+    sheet.getRange(m.row, m.col, m.rowSpan, m.colSpan).merge();
+  }
+}
+
+function _sliceGrids(grids, rowOffset, colOffset, numRows, numCols) {
+  const sliced = { ...grids };
+  for (const [name, value] of Object.entries(grids)) {
+    if (!Array.isArray(value) || !Array.isArray(value[0])) continue;
+    sliced[name] = value
+      .slice(rowOffset, rowOffset + numRows)
+      .map((row) => row.slice(colOffset, colOffset + numCols));
+  }
+  return sliced;
+}
+
+// Groups the set cells of a boolean mask into rectangles: row runs first,
+// then identical runs on consecutive rows are stacked together
+function _maskToRects(mask) {
+  const rects = [];
+  let open = new Map();
+
+  for (let r = 0; r < mask.length; r++) {
+    const nextOpen = new Map();
+    let c = 0;
+    while (c < mask[r].length) {
+      if (!mask[r][c]) {
+        c++;
+        continue;
+      }
+
+      let len = 1;
+      while (c + len < mask[r].length && mask[r][c + len]) len++;
+
+      const runKey = `${c}:${len}`;
+      let rect = open.get(runKey);
+      if (rect) {
+        rect.numRows++;
+      } else {
+        rect = { row: r, col: c, numRows: 1, numCols: len };
+        rects.push(rect);
+      }
+      nextOpen.set(runKey, rect);
+      c += len;
+    }
+    open = nextOpen;
+  }
+
+  return rects;
+}
+
+function _loadSnapshot(sheet, ctx) {
+  const json = _readProperty(_SNAPSHOT_PREFIX + _renderKey(sheet, ctx));
+  return json ? JSON.parse(json) : null;
+}
+
+function _saveSnapshot(sheet, ctx, snapshot) {
+  _writeProperty(
+    _SNAPSHOT_PREFIX + _renderKey(sheet, ctx),
+    JSON.stringify(snapshot)
+  );
+}
+
+// Document properties cap each value at 9KB, so large values are chunked
+function _readProperty(key) {
+  const props = _documentProperties();
+  const count = parseInt(props.getProperty(key), 10);
+  if (!count) return null;
+
+  let value = "";
+  for (let i = 0; i < count; i++) {
+    value += props.getProperty(`${key}.${i}`) || "";
+  }
+  return value;
+}
+
+function _writeProperty(key, value) {
+  const props = _documentProperties();
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < value.length; i += _PROPERTY_CHUNK_SIZE) {
+    chunks[`${key}.${count++}`] = value.slice(i, i + _PROPERTY_CHUNK_SIZE);
+  }
+
+  const previousCount = parseInt(props.getProperty(key), 10) || 0;
+  for (let i = count; i < previousCount; i++) {
+    props.deleteProperty(`${key}.${i}`);
+  }
+
+  chunks[key] = String(count);
+  props.setProperties(chunks);
+}
+
+// Apps Script enums serialize as empty objects, so use their names instead
+function _signatureReplacer(key, value) {
+  if (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    value.toString !== Object.prototype.toString
+  ) {
+    return String(value);
+  }
+  return value;
+}
+
+// FNV-1a, short enough to keep snapshots within document property limits
+function _hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+// ============================================================================
+// RULE OWNERSHIP
+// ============================================================================
+
+var _RULES_PREFIX = "ReaSheet.rules.";
+
+// Replaces the conditional rules earlier renders at the same anchors created
+// on this sheet, identified by signature, and leaves user-authored rules and
+// those of other renders untouched. With a scope, only owned rules lying
+// entirely inside it are replaced.
+function _replaceConditionalRules(sheet, ctx, rules, options) {
+  const plan = _planConditionalRules(sheet, ctx, rules, options);
+  if (!plan) return;
+  sheet.setConditionalFormatRules(plan.kept.concat(plan.next));
+  _writeProperty(plan.key, JSON.stringify(plan.owned.concat(plan.signatures)));
+}
+
+// Works out which rules to keep and which to replace, or returns null when
+// the owned rules are already up to date. `removed` holds rule indexes.
+function _planConditionalRules(
+  sheet,
+  ctx,
+  rules,
+  { scope = null, consolidate = false } = {}
+) {
+  const next = consolidate ? _consolidateRules(rules) : rules;
+  const key = _RULES_PREFIX + _renderKey(sheet, ctx);
+  const owned = new Set(JSON.parse(_readProperty(key) || "[]"));
+
+  const existing = sheet.getConditionalFormatRules();
+  const kept = [];
+  const keptOwned = [];
+  const removed = [];
+  const removedIndexes = [];
+  existing.forEach((rule, index) => {
+    const signature = _ruleSignature(rule);
+    const inScope =
+      !scope ||
+      rule
+        .getRanges()
+        .every((range) => scope.some((b) => _contains(b, _rangeBounds(range))));
+
+    if (!owned.has(signature)) {
+      kept.push(rule);
+    } else if (!inScope) {
+      kept.push(rule);
+      keptOwned.push(signature);
+    } else {
+      removed.push(signature);
+      removedIndexes.push(index);
+    }
+  });
+
+  const nextSignatures = next.map((rule) => _ruleSignature(rule));
+  const unchanged =
+    removed.length === nextSignatures.length &&
+    removed.slice().sort().join() === nextSignatures.slice().sort().join();
+  if (unchanged) return null;
+
+  return {
+    key,
+    kept,
+    next,
+    owned: keptOwned,
+    signatures: nextSignatures,
+    removed: removedIndexes,
+  };
+}
+
+// Merges rules with the same condition and format into one multi-range rule
+function _consolidateRules(rules) {
+  const groups = new Map();
+  for (const rule of rules) {
+    const signature = _ruleSignature(rule, false);
+    if (!groups.has(signature)) groups.set(signature, []);
+    groups.get(signature).push(rule);
+  }
+
+  return [...groups.values()].map((group) =>
+    group.length === 1
+      ? group[0]
+      : group[0]
+          .copy()
+          .setRanges(group.flatMap((rule) => rule.getRanges()))
+          .build()
+  );
+}
+
+function _ruleSignature(rule, includeRanges = true) {
+  const ranges = includeRanges
+    ? rule.getRanges().map((range) => range.getA1Notation())
+    : [];
+  const boolean = rule.getBooleanCondition();
+  const gradient = rule.getGradientCondition();
+  const condition = boolean
+    ? [
+        boolean.getCriteriaType(),
+        boolean.getCriteriaValues(),
+        boolean.getBackground(),
+        boolean.getFontColor(),
+        boolean.getBold(),
+        boolean.getItalic(),
+        boolean.getStrikethrough(),
+        boolean.getUnderline(),
+      ]
+    : [
+        gradient.getMinColor(),
+        gradient.getMinType(),
+        gradient.getMinValue(),
+        gradient.getMidColor(),
+        gradient.getMidType(),
+        gradient.getMidValue(),
+        gradient.getMaxColor(),
+        gradient.getMaxType(),
+        gradient.getMaxValue(),
+      ];
+  return _hash(JSON.stringify([ranges, condition], _signatureReplacer));
+}
+
+function _rangeBounds(range) {
+  return {
+    minRow: range.getRow(),
+    minCol: range.getColumn(),
+    maxRow: range.getLastRow(),
+    maxCol: range.getLastColumn(),
+  };
+}
+
+// ============================================================================
+// SHEETS API BACKEND
+// ============================================================================
+
+// With `{ backend: "api" }` the resolved grids are translated into a single
+// Sheets API v4 batchUpdate instead of per-range SpreadsheetApp calls. Data
+// types and rules are built against lightweight ranges with the detached
+// builders and read back as request JSON. Sheet settings, groups and
+// dependent-dropdown lists are still applied through SpreadsheetApp.
+
+var _CELL_FIELDS =
+  "userEnteredValue,userEnteredFormat,note,textFormatRuns,dataValidation";
+
+// SpreadsheetApp criteria names that differ in the API
+var _API_CONDITIONS = Object.freeze({
+  CHECKBOX: "BOOLEAN",
+  VALUE_IN_LIST: "ONE_OF_LIST",
+  VALUE_IN_RANGE: "ONE_OF_RANGE",
+  DATE_IS_VALID_DATE: "DATE_IS_VALID",
+  DATE_EQUAL_TO: "DATE_EQ",
+  NUMBER_GREATER_THAN: "NUMBER_GREATER",
+  NUMBER_GREATER_THAN_OR_EQUAL_TO: "NUMBER_GREATER_THAN_EQ",
+  NUMBER_LESS_THAN: "NUMBER_LESS",
+  NUMBER_LESS_THAN_OR_EQUAL_TO: "NUMBER_LESS_THAN_EQ",
+  NUMBER_EQUAL_TO: "NUMBER_EQ",
+  NUMBER_NOT_EQUAL_TO: "NUMBER_NOT_EQ",
+  TEXT_EQUAL_TO: "TEXT_EQ",
+  TEXT_IS_VALID_EMAIL: "TEXT_IS_EMAIL",
+  TEXT_IS_VALID_URL: "TEXT_IS_URL",
+  CELL_EMPTY: "BLANK",
+  CELL_NOT_EMPTY: "NOT_BLANK",
+});
+
+var _API_WRAP_STRATEGIES = Object.freeze({
+  WRAP: "WRAP",
+  OVERFLOW: "OVERFLOW_CELL",
+  CLIP: "CLIP",
+});
+
+// CSS color names, which SpreadsheetApp takes and the API does not
+var _CSS_COLORS = Object.freeze({
+  aliceblue: "#f0f8ff",
+  antiquewhite: "#faebd7",
+  aqua: "#00ffff",
+  aquamarine: "#7fffd4",
+  azure: "#f0ffff",
+  beige: "#f5f5dc",
+  bisque: "#ffe4c4",
+  black: "#000000",
+  blanchedalmond: "#ffebcd",
+  blue: "#0000ff",
+  blueviolet: "#8a2be2",
+  brown: "#a52a2a",
+  burlywood: "#deb887",
+  cadetblue: "#5f9ea0",
+  chartreuse: "#7fff00",
+  chocolate: "#d2691e",
+  coral: "#ff7f50",
+  cornflowerblue: "#6495ed",
+  cornsilk: "#fff8dc",
+  crimson: "#dc143c",
+  cyan: "#00ffff",
+  darkblue: "#00008b",
+  darkcyan: "#008b8b",
+  darkgoldenrod: "#b8860b",
+  darkgray: "#a9a9a9",
+  darkgreen: "#006400",
+  darkgrey: "#a9a9a9",
+  darkkhaki: "#bdb76b",
+  darkmagenta: "#8b008b",
+  darkolivegreen: "#556b2f",
+  darkorange: "#ff8c00",
+  darkorchid: "#9932cc",
+  darkred: "#8b0000",
+  darksalmon: "#e9967a",
+  darkseagreen: "#8fbc8f",
+  darkslateblue: "#483d8b",
+  darkslategray: "#2f4f4f",
+  darkslategrey: "#2f4f4f",
+  darkturquoise: "#00ced1",
+  darkviolet: "#9400d3",
+  deeppink: "#ff1493",
+  deepskyblue: "#00bfff",
+  dimgray: "#696969",
+  dimgrey: "#696969",
+  dodgerblue: "#1e90ff",
+  firebrick: "#b22222",
+  floralwhite: "#fffaf0",
+  forestgreen: "#228b22",
+  fuchsia: "#ff00ff",
+  gainsboro: "#dcdcdc",
+  ghostwhite: "#f8f8ff",
+  gold: "#ffd700",
+  goldenrod: "#daa520",
+  gray: "#808080",
+  green: "#008000",
+  greenyellow: "#adff2f",
+  grey: "#808080",
+  honeydew: "#f0fff0",
+  hotpink: "#ff69b4",
+  indianred: "#cd5c5c",
+  indigo: "#4b0082",
+  ivory: "#fffff0",
+  khaki: "#f0e68c",
+  lavender: "#e6e6fa",
+  lavenderblush: "#fff0f5",
+  lawngreen: "#7cfc00",
+  lemonchiffon: "#fffacd",
+  lightblue: "#add8e6",
+  lightcoral: "#f08080",
+  lightcyan: "#e0ffff",
+  lightgoldenrodyellow: "#fafad2",
+  lightgray: "#d3d3d3",
+  lightgreen: "#90ee90",
+  lightgrey: "#d3d3d3",
+  lightpink: "#ffb6c1",
+  lightsalmon: "#ffa07a",
+  lightseagreen: "#20b2aa",
+  lightskyblue: "#87cefa",
+  lightslategray: "#778899",
+  lightslategrey: "#778899",
+  lightsteelblue: "#b0c4de",
+  lightyellow: "#ffffe0",
+  lime: "#00ff00",
+  limegreen: "#32cd32",
+  linen: "#faf0e6",
+  magenta: "#ff00ff",
+  maroon: "#800000",
+  mediumaquamarine: "#66cdaa",
+  mediumblue: "#0000cd",
+  mediumorchid: "#ba55d3",
+  mediumpurple: "#9370db",
+  mediumseagreen: "#3cb371",
+  mediumslateblue: "#7b68ee",
+  mediumspringgreen: "#00fa9a",
+  mediumturquoise: "#48d1cc",
+  mediumvioletred: "#c71585",
+  midnightblue: "#191970",
+  mintcream: "#f5fffa",
+  mistyrose: "#ffe4e1",
+  moccasin: "#ffe4b5",
+  navajowhite: "#ffdead",
+  navy: "#000080",
+  oldlace: "#fdf5e6",
+  olive: "#808000",
+  olivedrab: "#6b8e23",
+  orange: "#ffa500",
+  orangered: "#ff4500",
+  orchid: "#da70d6",
+  palegoldenrod: "#eee8aa",
+  palegreen: "#98fb98",
+  paleturquoise: "#afeeee",
+  palevioletred: "#db7093",
+  papayawhip: "#ffefd5",
+  peachpuff: "#ffdab9",
+  peru: "#cd853f",
+  pink: "#ffc0cb",
+  plum: "#dda0dd",
+  powderblue: "#b0e0e6",
+  purple: "#800080",
+  rebeccapurple: "#663399",
+  red: "#ff0000",
+  rosybrown: "#bc8f8f",
+  royalblue: "#4169e1",
+  saddlebrown: "#8b4513",
+  salmon: "#fa8072",
+  sandybrown: "#f4a460",
+  seagreen: "#2e8b57",
+  seashell: "#fff5ee",
+  sienna: "#a0522d",
+  silver: "#c0c0c0",
+  skyblue: "#87ceeb",
+  slateblue: "#6a5acd",
+  slategray: "#708090",
+  slategrey: "#708090",
+  snow: "#fffafa",
+  springgreen: "#00ff7f",
+  steelblue: "#4682b4",
+  tan: "#d2b48c",
+  teal: "#008080",
+  thistle: "#d8bfd8",
+  tomato: "#ff6347",
+  turquoise: "#40e0d0",
+  violet: "#ee82ee",
+  wheat: "#f5deb3",
+  white: "#ffffff",
+  whitesmoke: "#f5f5f5",
+  yellow: "#ffff00",
+  yellowgreen: "#9acd32",
+});
+
+// Lays out `root` and returns the batchUpdate body the "api" backend would
+// send for it, without writing anything
+function buildBatchUpdate(sheet, root, options = {}) {
+  const { anchor, consolidateRules = false } = options;
+  const { ctx, cells, regions } = _layout([{ root, anchor }]);
+  if (cells.length === 0) return { requests: [] };
+  return _batchUpdate(sheet, ctx, cells, regions, {
+    consolidate: consolidateRules,
+  }).body;
+}
+
+function _commitBatch(sheet, ctx, cells, regions, ruleOptions) {
+  const sheets = _sheetsApi();
+  const { body, rules } = _batchUpdate(sheet, ctx, cells, regions, ruleOptions);
+
+  // Pending SpreadsheetApp changes (the clear, settings) must land first
+  _spreadsheetApp().flush();
+  sheets.Spreadsheets.batchUpdate(body, sheet.getParent().getId());
+
+  if (rules) {
+    _writeProperty(
+      rules.key,
+      JSON.stringify(rules.owned.concat(rules.signatures))
+    );
+  }
+}
+
+function _batchUpdate(sheet, ctx, cells, regions, ruleOptions) {
+  const bounds = _calculateBounds(cells);
+  const grids = _requestGrids(sheet, cells, bounds, ctx);
+  _claimRegions(grids, bounds, regions);
+
+  const sheetId = sheet.getSheetId();
+  // Merges left in the rendered regions are broken up before cells are
+  // written, so earlier layouts cannot clash with the new merges
+  const requests = regions.map((region) => ({
+    unmergeCells: {
+      range: _apiGridRange(
+        sheetId,
+        region.minRow,
+        region.minCol,
+        region.numRows,
+        region.numCols
+      ),
+    },
+  }));
+  const owned = grids.signatures.map((row) => row.map((sig) => sig !== null));
+  for (const rect of _maskToRects(owned)) {
+    requests.push(_updateCellsRequest(sheetId, bounds, rect, grids));
+  }
+
+  for (const rect of _borderRects(bounds, grids.borders)) {
+    const updateBorders = {
+      range: _apiGridRange(
+        sheetId,
+        rect.row,
+        rect.col,
+        rect.numRows,
+        rect.numCols
+      ),
+    };
+    const edges = {
+      top: "top",
+      bottom: "bottom",
+      left: "left",
+      right: "right",
+      horizontal: "innerHorizontal",
+      vertical: "innerVertical",
+    };
+    for (const [flag, field] of Object.entries(edges)) {
+      if (rect[flag]) updateBorders[field] = _apiBorder(rect.side);
+    }
+    requests.push({ updateBorders });
+  }
+
+  // One request per rectangle of identical validations
+  const validations = new Map();
+  grids.validations.forEach((row, r) =>
+    row.forEach((validation, c) => {
+      if (!validation) return;
+      const signature = _validationSignature(validation);
+      if (!validations.has(signature)) {
+        const mask = owned.map((cells) => cells.map(() => false));
+        validations.set(signature, { validation, mask });
+      }
+      validations.get(signature).mask[r][c] = true;
+    })
+  );
+  for (const { validation, mask } of validations.values()) {
+    for (const rect of _maskToRects(mask)) {
+      requests.push({
+        setDataValidation: {
+          range: _apiGridRange(
+            sheetId,
+            bounds.minRow + rect.row,
+            bounds.minCol + rect.col,
+            rect.numRows,
+            rect.numCols
+          ),
+          rule: _apiValidation(validation),
+        },
+      });
+    }
+  }
+
+  requests.push(
+    ..._dimensionRequests(sheetId, "COLUMNS", grids.widths),
+    ..._dimensionRequests(sheetId, "ROWS", grids.heights)
+  );
+  for (const m of grids.merges) {
+    requests.push({
+      mergeCells: {
+        range: _apiGridRange(sheetId, m.row, m.col, m.rowSpan, m.colSpan),
+        mergeType: "MERGE_ALL",
+      },
+    });
+  }
+
+  // Owned rules are deleted from the last index down, so earlier indexes
+  // stay valid, then the new ones are appended after the kept rules
+  const rules = _planConditionalRules(
+    sheet,
+    ctx,
+    grids.conditionalRules,
+    ruleOptions
+  );
+  if (rules) {
+    for (const index of rules.removed.slice().reverse()) {
+      requests.push({ deleteConditionalFormatRule: { sheetId, index } });
+    }
+    rules.next.forEach((rule, i) => {
+      requests.push({
+        addConditionalFormatRule: {
+          rule: _apiConditionalRule(rule),
+          index: rules.kept.length + i,
+        },
+      });
+    });
+  }
+
+  return { body: { requests }, rules };
+}
+
+// Grids whose validations, rich text and rules are detached objects built
+// against plain ranges, so building them makes no SpreadsheetApp calls
+function _requestGrids(sheet, cells, bounds, ctx) {
+  return _buildGrids(sheet, cells, bounds, ctx, {
+    app: _DETACHED_APP,
+    rangeAt: (...args) => _gridRange(sheet, ...args),
+  });
+}
+
+// Just enough of the Range interface for data types and rule builders
+function _gridRange(sheet, row, col, numRows = 1, numCols = 1) {
+  const bounds = {
+    minRow: row,
+    minCol: col,
+    maxRow: row + numRows - 1,
+    maxCol: col + numCols - 1,
+    numRows,
+    numCols,
+  };
+  return {
+    getSheet: () => sheet,
+    getRow: () => row,
+    getColumn: () => col,
+    getNumRows: () => numRows,
+    getNumColumns: () => numCols,
+    getLastRow: () => bounds.maxRow,
+    getLastColumn: () => bounds.maxCol,
+    getA1Notation: () => _toA1(bounds),
+  };
+}
+
+function _updateCellsRequest(sheetId, bounds, rect, grids) {
+  const rows = [];
+  for (let r = rect.row; r < rect.row + rect.numRows; r++) {
+    const values = [];
+    for (let c = rect.col; c < rect.col + rect.numCols; c++) {
+      values.push(_cellData(grids, r, c));
+    }
+    rows.push({ values });
+  }
+  return {
+    updateCells: {
+      range: _apiGridRange(
+        sheetId,
+        bounds.minRow + rect.row,
+        bounds.minCol + rect.col,
+        rect.numRows,
+        rect.numCols
+      ),
+      rows,
+      fields: _CELL_FIELDS,
+    },
+  };
+}
+
+// Properties left out of a cell are reset, as range.clear() does
+function _cellData(grids, r, c) {
+  const data = {};
+  const formula = grids.formulas[r][c];
+  const richText = grids.richTexts[r][c];
+  const value = formula
+    ? { formulaValue: formula }
+    : _apiValue(richText ? richText.getText() : grids.values[r][c]);
+  if (value) data.userEnteredValue = value;
+  if (richText) data.textFormatRuns = _apiTextRuns(richText);
+  if (grids.notes[r][c]) data.note = grids.notes[r][c];
+
+  const textFormat = {
+    foregroundColorStyle: _apiColorStyle(grids.fontColors[r][c]),
+    fontSize: grids.fontSizes[r][c] ?? undefined,
+    fontFamily: grids.fontFamilies[r][c] ?? undefined,
+  };
+  const lines = grids.fontLines[r][c] || "";
+  if (grids.fontWeights[r][c] === "bold") textFormat.bold = true;
+  if (grids.fontStyles[r][c] === "italic") textFormat.italic = true;
+  if (lines.includes("underline")) textFormat.underline = true;
+  if (lines.includes("line-through")) textFormat.strikethrough = true;
+
+  const format = _defined({
+    backgroundColorStyle: _apiColorStyle(grids.backgrounds[r][c]),
+    textFormat: _defined(textFormat),
+    horizontalAlignment: grids.hAligns[r][c]?.toUpperCase(),
+    verticalAlignment: grids.vAligns[r][c]?.toUpperCase(),
+    wrapStrategy: _API_WRAP_STRATEGIES[String(grids.wraps[r][c])],
+    textDirection: grids.textDirections[r][c]
+      ? String(grids.textDirections[r][c])
+      : undefined,
+  });
+  const pattern = grids.numberFormats[r][c];
+  if (pattern && pattern !== "General") {
+    format.numberFormat = { type: _numberFormatType(pattern), pattern };
+  }
+  if (grids.verticalTexts[r][c]) {
+    format.textRotation = { vertical: true };
+  } else if (grids.rotations[r][c]) {
+    format.textRotation = { angle: grids.rotations[r][c] };
+  }
+  data.userEnteredFormat = format;
+  return data;
+}
+
+// Drops undefined properties, keeping the request JSON readable
+function _defined(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+function _apiValue(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  if (typeof value === "number") return { numberValue: value };
+  if (typeof value === "boolean") return { boolValue: value };
+  if (value instanceof Date) return { numberValue: _dateSerial(value) };
+  return { stringValue: String(value) };
+}
+
+// Days since 1899-12-30 in the date's local time, as Sheets stores dates
+function _dateSerial(date) {
+  const local = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  );
+  return (local - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+function _numberFormatType(pattern) {
+  const unquoted = pattern.replace(/"[^"]*"/g, "");
+  if (unquoted === "@") return "TEXT";
+  if (/[dy]/i.test(unquoted)) return "DATE";
+  if (unquoted.includes("%")) return "PERCENT";
+  if (unquoted.includes("$")) return "CURRENCY";
+  return "NUMBER";
+}
+
+function _apiTextRuns(richText) {
+  return richText.getRuns().map((run) => {
+    const style = run.getTextStyle();
+    const format = _defined({
+      bold: style.isBold() ?? undefined,
+      italic: style.isItalic() ?? undefined,
+      underline: style.isUnderline() ?? undefined,
+      strikethrough: style.isStrikethrough() ?? undefined,
+      foregroundColorStyle: _apiColorStyle(style.getForegroundColor()),
+      fontSize: style.getFontSize() ?? undefined,
+      fontFamily: style.getFontFamily() ?? undefined,
+    });
+    if (run.getLinkUrl()) format.link = { uri: run.getLinkUrl() };
+    return { startIndex: run.getStartIndex(), format };
+  });
+}
+
+function _apiValidation(validation) {
+  const criteria = String(validation.getCriteriaType());
+  const values = validation.getCriteriaValues();
+  const rule = {
+    condition: _apiCondition(criteria, values),
+    strict: !validation.getAllowInvalid(),
+  };
+  if (validation.getHelpText()) rule.inputMessage = validation.getHelpText();
+  if (criteria === "VALUE_IN_LIST" || criteria === "VALUE_IN_RANGE") {
+    rule.showCustomUi = values[1] !== false;
+  }
+  return rule;
+}
+
+function _apiConditionalRule(rule) {
+  const ranges = rule
+    .getRanges()
+    .map((range) =>
+      _apiGridRange(
+        range.getSheet().getSheetId(),
+        range.getRow(),
+        range.getColumn(),
+        range.getNumRows(),
+        range.getNumColumns()
+      )
+    );
+
+  const gradient = rule.getGradientCondition();
+  if (gradient) {
+    const point = (color, type, value) => {
+      const json = { colorStyle: _apiColorStyle(color), type: String(type) };
+      if (value !== null && value !== "") json.value = String(value);
+      return json;
+    };
+    const gradientRule = {
+      minpoint: point(
+        gradient.getMinColor(),
+        gradient.getMinType(),
+        gradient.getMinValue()
+      ),
+      maxpoint: point(
+        gradient.getMaxColor(),
+        gradient.getMaxType(),
+        gradient.getMaxValue()
+      ),
+    };
+    if (gradient.getMidColor()) {
+      gradientRule.midpoint = point(
+        gradient.getMidColor(),
+        gradient.getMidType(),
+        gradient.getMidValue()
+      );
+    }
+    return { ranges, gradientRule };
+  }
+
+  const condition = rule.getBooleanCondition();
+  const textFormat = _defined({
+    foregroundColorStyle: _apiColorStyle(condition.getFontColor()),
+    bold: condition.getBold() ?? undefined,
+    italic: condition.getItalic() ?? undefined,
+    strikethrough: condition.getStrikethrough() ?? undefined,
+    underline: condition.getUnderline() ?? undefined,
+  });
+  return {
+    ranges,
+    booleanRule: {
+      condition: _apiCondition(
+        String(condition.getCriteriaType()),
+        condition.getCriteriaValues()
+      ),
+      format: _defined({
+        backgroundColorStyle: _apiColorStyle(condition.getBackground()),
+        textFormat: Object.keys(textFormat).length > 0 ? textFormat : undefined,
+      }),
+    },
+  };
+}
+
+function _apiCondition(criteria, values) {
+  const type = _API_CONDITIONS[criteria] ?? criteria;
+  // List and range criteria carry a trailing "show dropdown" flag
+  const operands =
+    type === "ONE_OF_LIST"
+      ? values[0]
+      : type === "ONE_OF_RANGE"
+      ? values.slice(0, 1)
+      : values;
+  const condition = { type };
+  if (operands.length > 0) {
+    condition.values = operands.map((value) => _apiConditionValue(value, type));
+  }
+  return condition;
+}
+
+function _apiConditionValue(value, type) {
+  if (value && typeof value.getA1Notation === "function") {
+    const name = value.getSheet().getName().replace(/'/g, "''");
+    return { userEnteredValue: `='${name}'!${value.getA1Notation()}` };
+  }
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return {
+      userEnteredValue: `${value.getFullYear()}-${pad(
+        value.getMonth() + 1
+      )}-${pad(value.getDate())}`,
+    };
+  }
+  if (type.startsWith("DATE_") && typeof value === "string") {
+    return { relativeDate: value };
+  }
+  return { userEnteredValue: String(value) };
+}
+
+function _apiBorder({ color, style }) {
+  return {
+    style: String(style ?? BorderStyle.SOLID),
+    colorStyle: _apiColorStyle(color ?? "black"),
+  };
+}
+
+function _apiColorStyle(color) {
+  if (!color) return undefined;
+  const hex = _CSS_COLORS[String(color).toLowerCase()] ?? String(color);
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+  if (!match) {
+    throw new Error(`Color "${color}" must be a hex code or a CSS color name`);
+  }
+  const digits =
+    match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  const channel = (i) => parseInt(digits.slice(i, i + 2), 16) / 255;
+  return { rgbColor: { red: channel(0), green: channel(2), blue: channel(4) } };
+}
+
+function _apiGridRange(sheetId, row, col, numRows, numCols) {
+  return {
+    sheetId,
+    startRowIndex: row - 1,
+    endRowIndex: row - 1 + numRows,
+    startColumnIndex: col - 1,
+    endColumnIndex: col - 1 + numCols,
+  };
+}
+
+// Consecutive rows or columns of the same size share a request
+function _dimensionRequests(sheetId, dimension, sizes) {
+  const indexes = Object.keys(sizes)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const requests = [];
+  for (const index of indexes) {
+    const last = requests[requests.length - 1]?.updateDimensionProperties;
+    if (
+      last &&
+      last.range.endIndex === index - 1 &&
+      last.properties.pixelSize === sizes[index]
+    ) {
+      last.range.endIndex = index;
+      continue;
+    }
+    requests.push({
+      updateDimensionProperties: {
+        range: {
+          sheetId,
+          dimension,
+          startIndex: index - 1,
+          endIndex: index,
+        },
+        properties: { pixelSize: sizes[index] },
+        fields: "pixelSize",
+      },
+    });
+  }
+  return requests;
+}
+
+// ============================================================================
+// CHUNKED RENDERING
+// ============================================================================
+
+// Renders layouts too large for one execution in bands of rows. Progress is
+// kept in the document properties and a time-driven trigger resumes the
+// render, so the tree is rebuilt by a global function named in the job:
+//
+//   function buildReport() { return new Sheet({ name: "Report", ... }); }
+//   function startReport() { renderChunked("buildReport"); }
+//
+// Borders, merges, dimensions and conditional rules are applied in a final
+// phase once every band is written. It gets an execution of its own when
+// the bands used up the budget, and only sets state, so repeating it is
+// harmless.
+
+var _CHUNKED_KEY = "ReaSheet.chunked";
+var _CHUNKED_HANDLER = "continueChunkedRender";
+
+// Starts (or restarts) the job for `builder` and runs it until the time
+// budget is spent. Returns true when the render finished in this execution.
+function renderChunked(builder, options = {}) {
+  const {
+    sheet = null,
+    anchor = "A1",
+    bandRows = 500,
+    maxRuntime = 270000,
+    resumeAfter = 1000,
+    consolidateRules = false,
+  } = options;
+  const root = _chunkedRoot(builder);
+  const target =
+    sheet || (root instanceof Sheet ? _sheetForRoot(root, options) : null);
+  if (!target) {
+    throw new Error("renderChunked needs a Sheet root or a `sheet` option");
+  }
+
+  const jobs = _readChunkedJobs();
+  if (jobs[builder]) _deleteTrigger(jobs[builder].triggerId);
+  jobs[builder] = {
+    builder,
+    sheetId: target.getSheetId(),
+    anchor,
+    bandRows,
+    maxRuntime,
+    resumeAfter,
+    consolidateRules,
+    clear: !sheet,
+    hash: null,
+    phase: "bands",
+    nextBand: 0,
+    triggerId: null,
+  };
+  _writeChunkedJobs(jobs);
+  return _runChunked(jobs[builder], root, target);
+}
+
+// Trigger handler resuming the job the trigger was created for
+function continueChunkedRender(e) {
+  const job = Object.values(_readChunkedJobs()).find(
+    (candidate) => candidate.triggerId && candidate.triggerId === e?.triggerUid
+  );
+  if (!job) {
+    _deleteTrigger(e?.triggerUid);
+    return false;
+  }
+
+  _deleteTrigger(job.triggerId);
+  job.triggerId = null;
+  const sheet = _spreadsheetApp()
+    .getActiveSpreadsheet()
+    .getSheets()
+    .find((candidate) => candidate.getSheetId() === job.sheetId);
+  if (!sheet) {
+    _saveChunkedJob(job, true);
+    throw new Error(`Sheet ${job.sheetId} of chunked render was deleted`);
+  }
+  return _runChunked(job, _chunkedRoot(job.builder), sheet);
+}
+
+// Writes bands until the budget runs out, always at least one, then
+// finalizes. Each step is saved before the budget is checked, so a
+// continuation picks up where this execution stopped.
+function _runChunked(job, root, sheet) {
+  const started = Date.now();
+  const { ctx, cells, regions } = _layout([{ root, anchor: job.anchor }]);
+  _writeLists(sheet, ctx);
+
+  // A different layout (e.g. the data changed) starts over
+  const hash = _layoutHash(ctx, cells);
+  if (job.hash !== hash) {
+    job.hash = hash;
+    job.nextBand = 0;
+    job.phase = "bands";
+  }
+  if (job.phase === "bands" && job.nextBand === 0 && job.clear) sheet.clear();
+  _applySheetSettings(sheet, ctx);
+  _applyGroups(sheet, ctx);
+
+  const bounds = cells.length > 0 ? _calculateBounds(cells) : null;
+  const bands = bounds ? Math.ceil(bounds.numRows / job.bandRows) : 0;
+  while (job.phase === "bands") {
+    if (job.nextBand < bands) {
+      _writeBand(sheet, cells, bounds, regions, ctx, job);
+      job.nextBand++;
+    }
+    if (job.nextBand >= bands) job.phase = "finalize";
+    _saveChunkedJob(job);
+    if (Date.now() - started > job.maxRuntime) return _resumeChunked(job);
+  }
+
+  const grids = bounds ? _buildGrids(sheet, cells, bounds, ctx) : null;
+  if (grids) {
+    _applyBorders(sheet, bounds, grids.borders);
+    _applyDimensionsAndMerges(sheet, grids);
+  }
+  _replaceConditionalRules(sheet, ctx, grids ? grids.conditionalRules : [], {
+    consolidate: job.consolidateRules,
+  });
+  _saveChunkedJob(job, true);
+  return true;
+}
+
+function _resumeChunked(job) {
+  job.triggerId = _scriptApp()
+    .newTrigger(_CHUNKED_HANDLER)
+    .timeBased()
+    .after(job.resumeAfter)
+    .create()
+    .getUniqueId();
+  _saveChunkedJob(job);
+  return false;
+}
+
+// Hashes what the layout resolved to without building its grids, so a
+// continuation only builds the band it writes
+function _layoutHash(ctx, cells) {
+  return _hash(
+    JSON.stringify(
+      [
+        cells.map(({ row, col, cell, style }) => [
+          row,
+          col,
+          cell.type.constructor.name,
+          cell.type,
+          style,
+          cell.note,
+          cell.validation,
+          cell.conditionalFormats,
+          cell.rowSpan,
+          cell.colSpan,
+        ]),
+        [...ctx.refs],
+        ctx.outlines,
+        ctx.conditionalFormats.map(({ bounds, formats }) => [bounds, formats]),
+        ctx.sizes.widths,
+        ctx.sizes.heights,
+      ],
+      _signatureReplacer
+    )
+  );
+}
+
+// Builds and writes the grids of one band of rows. Cells spanning into the
+// band from outside it are clipped to it.
+function _writeBand(sheet, cells, bounds, regions, ctx, job) {
+  const minRow = bounds.minRow + job.nextBand * job.bandRows;
+  const numRows = Math.min(job.bandRows, bounds.maxRow - minRow + 1);
+  const band = { ...bounds, minRow, maxRow: minRow + numRows - 1, numRows };
+  const clip = (region) => ({
+    ...region,
+    minRow: Math.max(region.minRow, band.minRow),
+    maxRow: Math.min(region.maxRow, band.maxRow),
+  });
+
+  const grids = _buildGrids(
+    sheet,
+    cells.filter(({ row, col, cell }) =>
+      _intersects(band, {
+        minRow: row,
+        maxRow: row + cell.rowSpan - 1,
+        minCol: col,
+        maxCol: col + cell.colSpan - 1,
+      })
+    ),
+    band,
+    ctx
+  );
+  _claimRegions(
+    grids,
+    band,
+    regions.filter((region) => _intersects(band, region)).map(clip)
+  );
+
+  const owned = grids.signatures.map((row) => row.map((sig) => sig !== null));
+  for (const rect of _maskToRects(owned)) {
+    _writeGrids(
+      sheet,
+      {
+        minRow: band.minRow + rect.row,
+        minCol: band.minCol + rect.col,
+        numRows: rect.numRows,
+        numCols: rect.numCols,
+      },
+      _sliceGrids(grids, rect.row, rect.col, rect.numRows, rect.numCols),
+      false
+    );
+  }
+}
+
+function _chunkedRoot(builder) {
+  const build = globalThis[builder];
+  if (typeof build !== "function") {
+    throw new Error(`Chunked render builder "${builder}" is not a function`);
+  }
+  return build();
+}
+
+function _sheetForRoot(root, { spreadsheet = null } = {}) {
+  const book = spreadsheet || _spreadsheetApp().getActiveSpreadsheet();
+  return book.getSheetByName(root.name) || book.insertSheet(root.name);
+}
+
+function _readChunkedJobs() {
+  return JSON.parse(_readProperty(_CHUNKED_KEY) || "{}");
+}
+
+function _writeChunkedJobs(jobs) {
+  _writeProperty(_CHUNKED_KEY, JSON.stringify(jobs));
+}
+
+// Re-reads the jobs so concurrent jobs for other builders are kept
+function _saveChunkedJob(job, done = false) {
+  const jobs = _readChunkedJobs();
+  if (done) delete jobs[job.builder];
+  else jobs[job.builder] = job;
+  _writeChunkedJobs(jobs);
+}
+
+function _deleteTrigger(triggerId) {
+  if (!triggerId) return;
+  const app = _scriptApp();
+  for (const trigger of app.getProjectTriggers()) {
+    if (trigger.getUniqueId() === triggerId) app.deleteTrigger(trigger);
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+// Re-runs the layout and reads every keyed Cell back from the sheet, coerced
+// by its data type. Dotted keys nest: "tasks.0.done" -> data.tasks[0].done
+// A Workbook root is read from `sheet`'s spreadsheet (or the spreadsheet
+// passed instead), one result per sheet in the workbook's order.
+function read(sheet, root, options = {}) {
+  if (root instanceof Workbook) return _readWorkbook(sheet, root);
+
+  const { anchor } = options;
+  const { cells } = _layout([{ root, anchor }]);
+  return _readCells(sheet, cells);
+}
+
+function _readWorkbook(target, workbook) {
+  const spreadsheet = target.getSheetByName ? target : target.getParent();
+  return _layoutWorkbook(workbook).map(({ root, cells }) => {
+    const sheet = spreadsheet.getSheetByName(root.name);
+    if (!sheet) throw new Error(`Sheet "${root.name}" has not been rendered`);
+    return _readCells(sheet, cells);
+  });
+}
+
+function _readCells(sheet, cells) {
+  const keyed = cells.filter((c) => c.cell.key !== null);
+  const data = {};
+  const errors = [];
+
+  if (keyed.length === 0) return { data, errors };
+
+  const bounds = _calculateBounds(keyed);
+  const values = sheet
+    .getRange(bounds.minRow, bounds.minCol, bounds.numRows, bounds.numCols)
+    .getValues();
+
+  for (const { row, col, cell } of keyed) {
+    const raw = values[row - bounds.minRow][col - bounds.minCol];
+    const { value, error } = _parseValue(cell.type, raw);
+    if (error) {
+      errors.push({
+        key: cell.key,
+        row,
+        col,
+        a1: _toA1({ minRow: row, minCol: col, numRows: 1, numCols: 1 }),
+        value: raw,
+        message: error,
+      });
+    }
+    _setPath(data, String(cell.key).split("."), value);
+  }
+
+  return { data, errors };
+}
+
+// Invalid values are kept raw alongside the type's error message
+function _parseValue(type, raw) {
+  try {
+    return { value: type.parse ? type.parse(raw) : raw, error: null };
+  } catch (e) {
+    return { value: raw, error: e.message };
+  }
+}
+
+function _setPath(target, path, value) {
+  let node = target;
+  for (let i = 0; i < path.length - 1; i++) {
+    const segment = path[i];
+    if (node[segment] === undefined) {
+      node[segment] = /^\d+$/.test(path[i + 1]) ? [] : {};
+    } else if (typeof node[segment] !== "object" || node[segment] === null) {
+      throw new Error(`Key "${path.join(".")}" conflicts with a parent key`);
+    }
+    node = node[segment];
+  }
+  node[path[path.length - 1]] = value;
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+// Routes an onEdit event to the onChange handlers of the cells it touched.
+// `root` may be a function that builds the tree, so handlers can re-render
+// a keyed subtree from fresh state with `event.rerender(key)`.
+function dispatchEdit(e, root, options = {}) {
+  const build = () => (typeof root === "function" ? root() : root);
+  const initial = build();
+  const { anchor, sheetName = initial instanceof Sheet ? initial.name : null } =
+    options;
+  const sheet = e.range.getSheet();
+  if (sheetName !== null && sheet.getName() !== sheetName) return false;
+
+  // A workbook is laid out whole so cross-sheet references still resolve
+  const layoutsOf = (tree) =>
+    tree instanceof Workbook
+      ? _layoutWorkbook(tree)
+      : [{ root: tree, ..._layout([{ root: tree, anchor }]) }];
+  const layoutOf = (layouts, name) =>
+    initial instanceof Workbook
+      ? layouts.find((l) => l.root.name === name)
+      : layouts[0];
+  const layout = layoutOf(layoutsOf(initial), sheet.getName());
+  if (!layout) return false;
+
+  const { cells } = layout;
+  const edited = {
+    minRow: e.range.getRow(),
+    minCol: e.range.getColumn(),
+    maxRow: e.range.getRow() + e.range.getNumRows() - 1,
+    maxCol: e.range.getColumn() + e.range.getNumColumns() - 1,
+  };
+  const targets = cells.filter(
+    (c) => c.cell.onChange && _intersects(_cellBounds(c), edited)
+  );
+  // Refs are shared across a workbook, so a parent key must also be on the
+  // edited sheet: the same coordinates on another sheet were not edited
+  const ownSheet = layout.ctx.sheet?.name ?? null;
+  const dependents = cells.filter((c) => {
+    if (!(c.cell.type instanceof Dropdown) || !c.cell.type.dependsOn) {
+      return false;
+    }
+    const parent = _lookupRef(layout.ctx.refs, c.cell.type.dependsOn);
+    return parent.sheet === ownSheet && _intersects(parent, edited);
+  });
+  if (targets.length === 0 && dependents.length === 0) return false;
+
+  const values = e.range.getValues();
+  for (const dependent of dependents) {
+    _refreshDependent(sheet, layout.ctx, dependent, edited, values);
+  }
+  const isSingleCell =
+    e.range.getNumRows() === 1 && e.range.getNumColumns() === 1;
+
+  // In a workbook the key can be on another sheet than the edited one, so
+  // the subtree is written to the sheet that owns it
+  const rerender = (key) => {
+    const layouts = layoutsOf(build());
+    const bounds = layouts[0].ctx.refs.get(key);
+    if (!bounds) throw new Error(`Cannot re-render unknown key "${key}"`);
+    const next = layoutOf(layouts, bounds.sheet);
+    const target =
+      initial instanceof Workbook
+        ? sheet.getParent().getSheetByName(bounds.sheet)
+        : sheet;
+
+    const subtree = next.cells.filter((c) =>
+      _intersects(_cellBounds(c), bounds)
+    );
+    _renderCells(target, next.ctx, subtree, [bounds], {}, [bounds]);
+  };
+
+  for (const target of targets) {
+    const { row, col, cell } = target;
+    const editedRow = Math.max(row, edited.minRow);
+    const editedCol = Math.max(col, edited.minCol);
+    const raw = values[editedRow - edited.minRow][editedCol - edited.minCol];
+    const { value, error } = _parseValue(cell.type, raw);
+    const oldValue =
+      isSingleCell && e.oldValue !== undefined
+        ? _parseValue(cell.type, e.oldValue).value
+        : undefined;
+
+    cell.onChange({
+      value,
+      oldValue,
+      error,
+      key: cell.key,
+      row,
+      col,
+      cell,
+      sheet,
+      event: e,
+      rerender: (key = cell.key) => rerender(key),
+    });
+  }
+
+  return true;
+}
+
+// Points a dependent dropdown at the options for its parent's new value and
+// clears a selection that value no longer allows
+function _refreshDependent(sheet, ctx, { row, col, cell }, edited, values) {
+  const parent = ctx.refs.get(cell.type.dependsOn);
+  if (
+    parent.minRow < edited.minRow ||
+    parent.minRow > edited.maxRow ||
+    parent.minCol < edited.minCol ||
+    parent.minCol > edited.maxCol
+  ) {
+    return;
+  }
+
+  const value =
+    values[parent.minRow - edited.minRow][parent.minCol - edited.minCol];
+  const range = sheet.getRange(row, col, cell.rowSpan, cell.colSpan);
+  const validation = cell.type.dependentValidation(sheet, ctx, value);
+  range.setDataValidation(validation ? validation.build(range, ctx) : null);
+
+  const current = range.getValue();
+  if (current !== "" && !(cell.type.options[value] || []).includes(current)) {
+    range.setValue("");
+  }
+}
+
+function _cellBounds({ row, col, cell }) {
+  return {
+    minRow: row,
+    minCol: col,
+    maxRow: row + (cell.rowSpan || 1) - 1,
+    maxCol: col + (cell.colSpan || 1) - 1,
+  };
+}
+
+function _intersects(a, b) {
+  return (
+    a.minRow <= b.maxRow &&
+    b.minRow <= a.maxRow &&
+    a.minCol <= b.maxCol &&
+    b.minCol <= a.maxCol
+  );
+}
+
+// ============================================================================
+// INSPECTOR
+// ============================================================================
+
+// Lays out `root` without touching a sheet and returns the resolved tree:
+// each node's type, key, bounds, inherited style, the position it was given
+// and the jumps stacks made past occupied cells
+function layout(root, options = {}) {
+  const { anchor, strict = false } = options;
+  const trace = _traceRoot();
+  const { ctx } = _layout([{ root, anchor }], undefined, trace, strict);
+  _assertValid(ctx.problems);
+  const tree = trace.children[0] ?? null;
+  if (tree) tree.warnings = ctx.sizes.warnings;
+  return tree;
+}
+
+// Indented outline of a `layout()` tree, for logging
+function formatLayout(entry, depth = 0) {
+  if (!entry) return "";
+  const indent = "  ".repeat(depth);
+  const key = entry.key !== null ? ` "${entry.key}"` : "";
+  const where = entry.bounds ? entry.bounds.a1 : "(empty)";
+  const lines = [`${indent}${entry.type}${key} ${where}`];
+  for (const jump of entry.jumps) {
+    lines.push(`${indent}  ↳ skipped ${jump.from} → ${jump.to} (occupied)`);
+  }
+  for (const child of entry.children) {
+    lines.push(formatLayout(child, depth + 1));
+  }
+  return lines.join("\n");
+}
+
+function _traceRoot() {
+  const root = {
+    type: "Root",
+    key: null,
+    bounds: null,
+    jumps: [],
+    children: [],
+  };
+  Object.defineProperty(root, "current", { value: root, writable: true });
+  return root;
+}
+
+// Renders a node, checking it in strict mode and recording it in the trace
+// when the layout is inspected
+function _renderChild(node, ctx, pos, inheritedStyle) {
+  if (ctx.problems) return _renderChecked(node, ctx, pos, inheritedStyle);
+  return _renderTraced(node, ctx, pos, inheritedStyle);
+}
+
+function _renderTraced(node, ctx, pos, inheritedStyle) {
+  if (!ctx.trace) return node.render(ctx, pos, inheritedStyle);
+
+  const parent = ctx.trace.current;
+  const entry = {
+    type: node.constructor.name,
+    key: node.key ?? null,
+    position: _toA1({
+      minRow: pos.row,
+      minCol: pos.col,
+      numRows: 1,
+      numCols: 1,
+    }),
+    bounds: null,
+    inheritedStyle,
+    jumps: [],
+    children: [],
+  };
+  Object.defineProperty(entry, "node", { value: node });
+  parent.children.push(entry);
+  ctx.trace.current = entry;
+
+  try {
+    const cells = node.render(ctx, pos, inheritedStyle);
+    if (cells.length > 0) {
+      const bounds = _calculateBounds(cells);
+      entry.bounds = { ...bounds, a1: _toA1(bounds) };
+    }
+    if (node instanceof Cell && cells.length > 0) {
+      entry.dataType = node.type.constructor.name;
+      entry.style = cells[0].style;
+    }
+    return cells;
+  } finally {
+    ctx.trace.current = parent;
+  }
+}
+
+function _recordJump(ctx, from, to) {
+  if (!ctx.trace) return;
+  const a1 = ({ row, col }) =>
+    _toA1({ minRow: row, minCol: col, numRows: 1, numCols: 1 });
+  ctx.trace.current.jumps.push({ from: a1(from), to: a1(to) });
+}
+
+var _DEBUG_COLORS = ["#e53935", "#1e88e5", "#43a047", "#fb8c00", "#8e24aa"];
+
+// `mode` true paints onto a scratch sheet holding the layout's values,
+// "notes" only writes the labels as notes, and "paint" outlines the
+// components on the sheet itself, replacing the layout's own borders
+function _paintDebug(sheet, trace, mode) {
+  const target = mode === true ? _debugSheet(sheet, trace) : sheet;
+  const labels = new Map();
+  const visit = (entry, depth) => {
+    if (entry.bounds) {
+      const { minRow, minCol, numRows, numCols } = entry.bounds;
+      if (mode !== "notes") {
+        target
+          .getRange(minRow, minCol, numRows, numCols)
+          .setBorder(
+            true,
+            true,
+            true,
+            true,
+            null,
+            null,
+            _DEBUG_COLORS[depth % _DEBUG_COLORS.length],
+            BorderStyle.SOLID_MEDIUM
+          );
+      }
+
+      const key = entry.key !== null ? ` "${entry.key}"` : "";
+      const jumps = entry.jumps.map((j) => `\n  skipped ${j.from} → ${j.to}`);
+      const label = `${entry.type}${key} ${entry.bounds.a1}${jumps.join("")}`;
+      const cell = `${minRow}:${minCol}`;
+      labels.set(cell, [...(labels.get(cell) || []), label]);
+    }
+    for (const child of entry.children) visit(child, depth + 1);
+  };
+  for (const child of trace.children) visit(child, 0);
+
+  // Roots moved below earlier roots
+  for (const jump of trace.jumps) {
+    const { row, col } = _parseAnchor(jump.to);
+    const cell = `${row}:${col}`;
+    const label = `root moved ${jump.from} → ${jump.to}`;
+    labels.set(cell, [label, ...(labels.get(cell) || [])]);
+  }
+
+  for (const [cell, lines] of labels) {
+    const [row, col] = cell.split(":").map(Number);
+    target.getRange(row, col).setNote(lines.join("\n"));
+  }
+}
+
+// "ReaSheet debug <name>", cleared and filled with the values of each root
+function _debugSheet(sheet, trace) {
+  const spreadsheet = sheet.getParent();
+  const name = `ReaSheet debug ${sheet.getName()}`;
+  const scratch =
+    spreadsheet.getSheetByName(name) || spreadsheet.insertSheet(name);
+  scratch.clear();
+  scratch.clearNotes();
+  for (const { bounds } of trace.children) {
+    if (!bounds) continue;
+    const { minRow, minCol, numRows, numCols } = bounds;
+    scratch
+      .getRange(minRow, minCol, numRows, numCols)
+      .setValues(sheet.getRange(minRow, minCol, numRows, numCols).getValues());
+  }
+  return scratch;
+}
+
+// ============================================================================
+// STRICT MODE
+// ============================================================================
+
+// `{ strict: true }` checks the tree while it is laid out. Each problem is
+// recorded with the path of the component it was found in, e.g.
+// `Sheet "Report" > VStack[0] > Cell[2] "total"`, and all of them are
+// thrown together before anything is committed.
+
+function _renderChecked(node, ctx, pos, inheritedStyle) {
+  const parent = ctx.path[ctx.path.length - 1];
+  const index = parent ? parent.children++ : null;
+  // Rows a Table builds carry styles already checked on the Table
+  const derived = !!parent && (parent.derived || parent.node instanceof Table);
+  ctx.path.push({
+    node,
+    segment: _pathSegment(node, index),
+    children: 0,
+    derived,
+  });
+
+  try {
+    if (!node || typeof node.render !== "function") {
+      _report(ctx, `${_describe(node)} is not a component`);
+      return [];
+    }
+    if (!derived) _checkStyles(ctx, node);
+    return _renderTraced(node, ctx, pos, inheritedStyle);
+  } catch (error) {
+    // Reported with the others; the subtree renders nothing
+    _report(ctx, error.message);
+    return [];
+  } finally {
+    ctx.path.pop();
+  }
+}
+
+function _pathSegment(node, index) {
+  const type = node?.constructor?.name ?? String(node);
+  const position = index === null ? "" : `[${index}]`;
+  const name = node instanceof Sheet ? node.name : node?.key;
+  return name === null || name === undefined
+    ? `${type}${position}`
+    : `${type}${position} "${name}"`;
+}
+
+function _report(ctx, message) {
+  const path = ctx.path.map((frame) => frame.segment).join(" > ");
+  ctx.problems.push({ path, message });
+}
+
+function _assertValid(problems) {
+  if (!problems || problems.length === 0) return;
+  const count = `${problems.length} problem${problems.length === 1 ? "" : "s"}`;
+  const lines = problems.map(({ path, message }) =>
+    path ? `  ${path}: ${message}` : `  ${message}`
+  );
+  const error = new Error(`Strict layout found ${count}:\n${lines.join("\n")}`);
+  error.problems = problems;
+  throw error;
+}
+
+// Style props of a component, by prop name
+function _nodeStyles(node) {
+  const styles = { style: node.style };
+  if (node instanceof Table) {
+    styles.headerStyle = node.headerStyle;
+    styles.footerStyle = node.footerStyle;
+    styles.stripe = node.stripe;
+    node.columns.forEach((column, i) => {
+      styles[`columns[${i}].style`] = column.style;
+    });
+  }
+  return styles;
+}
+
+// Theme style names are checked when they are merged
+function _checkStyles(ctx, node) {
+  for (const [prop, style] of Object.entries(_nodeStyles(node))) {
+    if (style === null || style === undefined || typeof style === "string") {
+      continue;
+    }
+    if (typeof style !== "object") {
+      _report(ctx, `${prop} must be a Style, got ${_describe(style)}`);
+      continue;
+    }
+    if (!(style instanceof Style)) {
+      _report(
+        ctx,
+        `${prop} is a plain object; use new Style({ ... }) or style.merge({ ... })`
+      );
+    }
+    for (const key of _unknownStyleKeys(_styleOptions(style))) {
+      _report(ctx, `${prop} has unknown key "${key}"`);
+    }
+  }
+}
+
+function _unknownStyleKeys(options) {
+  const unknown = [];
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in _defaultStyle)) {
+      unknown.push(key);
+    } else if (_nestedStyleKeys.includes(key) && value) {
+      for (const inner of Object.keys(value)) {
+        if (!(inner in _defaultStyle[key])) unknown.push(`${key}.${inner}`);
+      }
+    }
+  }
+  return unknown;
+}
+
+// Spans, the data type's value and cells already claimed by another cell
+function _checkCell(ctx, cell, pos) {
+  const spans = ["rowSpan", "colSpan"].filter((prop) => {
+    const span = cell[prop];
+    if (Number.isInteger(span) && span > 0) return true;
+    _report(ctx, `${prop} must be a positive integer, got ${_describe(span)}`);
+    return false;
+  });
+
+  const problem = _checkValue(cell.type);
+  if (problem) _report(ctx, problem);
+  if (spans.length < 2) return;
+
+  const path = ctx.path.map((frame) => frame.segment).join(" > ");
+  const overlaps = new Map();
+  for (let r = 0; r < cell.rowSpan; r++) {
+    for (let c = 0; c < cell.colSpan; c++) {
+      const slot = `${pos.row + r}:${pos.col + c}`;
+      const owner = ctx.owners.get(slot);
+      if (owner) {
+        const a1 = _toA1({
+          minRow: pos.row + r,
+          minCol: pos.col + c,
+          numRows: 1,
+          numCols: 1,
+        });
+        overlaps.set(owner, [...(overlaps.get(owner) || []), a1]);
+      } else {
+        ctx.owners.set(slot, path);
+      }
+    }
+  }
+  for (const [owner, a1s] of overlaps) {
+    _report(ctx, `spans ${a1s.join(", ")}, already occupied by ${owner}`);
+  }
+}
+
+// Describes a value the data type cannot hold, or returns null
+function _checkValue(type) {
+  if (!_isDataType(type)) return `type ${_describe(type)} is not a data type`;
+  const { value } = type;
+  const blank = value === null || value === undefined || value === "";
+
+  if (type instanceof Text && typeof value !== "string") {
+    return `Text value must be a string, got ${_describe(value)}`;
+  }
+  if (type instanceof NumberCell && !blank && !Number.isFinite(value)) {
+    return `NumberCell value must be a finite number, got ${_describe(value)}`;
+  }
+  if (type instanceof Checkbox && typeof value !== "boolean") {
+    return `Checkbox value must be a boolean, got ${_describe(value)}`;
+  }
+  if (
+    type instanceof DatePicker &&
+    !blank &&
+    !(value instanceof Date && !Number.isNaN(value.getTime()))
+  ) {
+    return `DatePicker value must be a valid Date, got ${_describe(value)}`;
+  }
+  if (
+    type instanceof Dropdown &&
+    !type.source &&
+    !blank &&
+    !type.plainValues.includes(value)
+  ) {
+    return `Dropdown selected ${_describe(
+      value
+    )} is not one of: ${type.plainValues.join(", ")}`;
+  }
+  if (type instanceof Formula && typeof type.expression !== "string") {
+    return `Formula expression must be a string, got ${_describe(
+      type.expression
+    )}`;
+  }
+  return null;
+}
+
+function _describe(value) {
+  if (value === null || value === undefined) return String(value);
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? "an invalid Date" : "a Date";
+  }
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "object") {
+    const name = value.constructor?.name;
+    return name && name !== "Object" ? `a ${name}` : "a plain object";
+  }
+  return typeof value === "string" ? `"${value}"` : String(value);
+}
+
+// ============================================================================
+// HTML RENDERER
+// ============================================================================
+
+var _htmlBorderStyles = Object.freeze({
+  DOTTED: "1px dotted",
+  DASHED: "1px dashed",
+  SOLID: "1px solid",
+  SOLID_MEDIUM: "2px solid",
+  SOLID_THICK: "3px solid",
+  DOUBLE: "3px double",
+});
+
+// Renders the same component tree as a static HTML <table>, e.g. for MailApp
+// bodies or HtmlService sidebars, or one table per sheet of a Workbook.
+// Formulas cannot be evaluated here; pass the rendered `sheet` (or
+// `spreadsheet`, for a Workbook) to show their computed values.
+function renderToHtml(root, options = {}) {
+  if (root instanceof Workbook) return _workbookToHtml(root, options);
+
+  const { anchor, sheet = null } = options;
+  const { ctx, cells } = _layout([{ root, anchor }]);
+  return _htmlTable(ctx, cells, sheet);
+}
+
+function _workbookToHtml(workbook, { spreadsheet = null } = {}) {
+  return _layoutWorkbook(workbook).map(({ root, ctx, cells }) =>
+    _htmlTable(ctx, cells, spreadsheet?.getSheetByName(root.name) ?? null)
+  );
+}
+
+function _htmlTable(ctx, cells, sheet) {
+  if (cells.length === 0) return "<table></table>";
+
+  const bounds = _calculateBounds(cells);
+  const computed =
+    sheet && cells.some((c) => c.cell.type instanceof Formula)
+      ? sheet
+          .getRange(
+            bounds.minRow,
+            bounds.minCol,
+            bounds.numRows,
+            bounds.numCols
+          )
+          .getValues()
+      : null;
+
+  const byPosition = new Map();
+  const covered = new Set();
+  const { widths, heights } = ctx.sizes;
+  const borders = _htmlBorders(cells, bounds, ctx);
+
+  for (const c of cells) {
+    byPosition.set(`${c.row}:${c.col}`, c);
+    for (let r = 0; r < c.cell.rowSpan; r++) {
+      for (let col = 0; col < c.cell.colSpan; col++) {
+        if (r > 0 || col > 0) covered.add(`${c.row + r}:${c.col + col}`);
+      }
+    }
+  }
+
+  const cols = [];
+  for (let col = bounds.minCol; col <= bounds.maxCol; col++) {
+    cols.push(widths[col] ? `<col style="width:${widths[col]}px">` : "<col>");
+  }
+
+  const rows = [];
+  for (let row = bounds.minRow; row <= bounds.maxRow; row++) {
+    const tds = [];
+    for (let col = bounds.minCol; col <= bounds.maxCol; col++) {
+      const key = `${row}:${col}`;
+      if (covered.has(key)) continue;
+
+      const resolved = byPosition.get(key);
+      const span = resolved ? resolved.cell : { rowSpan: 1, colSpan: 1 };
+      const border = _tdBorder(borders, bounds, row, col, span);
+      if (!resolved) {
+        const css = _borderCss(border);
+        tds.push(css ? `<td style="${_escapeHtml(css)}"></td>` : "<td></td>");
+        continue;
+      }
+
+      const value = computed
+        ? computed[row - bounds.minRow][col - bounds.minCol]
+        : undefined;
+      tds.push(_htmlCell(resolved, value, border));
+    }
+    const height = heights[row] ? ` style="height:${heights[row]}px"` : "";
+    rows.push(`<tr${height}>${tds.join("")}</tr>`);
+  }
+
+  return (
+    '<table style="border-collapse:collapse;table-layout:fixed">' +
+    `<colgroup>${cols.join("")}</colgroup>` +
+    `<tbody>${rows.join("")}</tbody></table>`
+  );
+}
+
+// Borders of every position, with the stacks' outlines and dividers drawn
+// over the cells' own as on the sheet
+function _htmlBorders(cells, bounds, ctx) {
+  const grid = () =>
+    Array.from({ length: bounds.numRows }, () =>
+      Array(bounds.numCols).fill(null)
+    );
+  const grids = { borders: grid(), signatures: grid() };
+  for (const { row, col, cell, style } of cells) {
+    for (let rOff = 0; rOff < cell.rowSpan; rOff++) {
+      for (let cOff = 0; cOff < cell.colSpan; cOff++) {
+        grids.borders[row - bounds.minRow + rOff][col - bounds.minCol + cOff] =
+          _spanBorder(style.border, cell, rOff, cOff);
+      }
+    }
+  }
+  _applyOutlines(grids, bounds, ctx);
+  return grids.borders;
+}
+
+// A <td>'s sides come from the positions along each edge of its span
+function _tdBorder(borders, bounds, row, col, { rowSpan, colSpan }) {
+  const at = (r, c) => borders[r - bounds.minRow][c - bounds.minCol] || {};
+  return {
+    top: at(row, col).top,
+    bottom: at(row + rowSpan - 1, col).bottom,
+    left: at(row, col).left,
+    right: at(row, col + colSpan - 1).right,
+  };
+}
+
+function _htmlCell({ cell, style }, computedValue, border = style.border) {
+  const { type, note, rowSpan, colSpan } = cell;
+  let css = _styleToCss(style, border);
+  let content;
+
+  if (type instanceof Checkbox) {
+    content = type.value ? "&#9745;" : "&#9744;";
+  } else if (type instanceof Dropdown) {
+    // Mirror the option's conditional formatting
+    const option = type.isObjectArray
+      ? type.values.find((item) => item.value === type.value)
+      : null;
+    const optionStyle = option?.style
+      ? _resolveStyleOptions(option.style, style._theme)
+      : null;
+    if (optionStyle?.backgroundColor) {
+      css += `background-color:${optionStyle.backgroundColor};`;
+    }
+    if (optionStyle?.font?.color) css += `color:${optionStyle.font.color};`;
+    content = _escapeHtml(type.value ?? "");
+  } else if (type instanceof RichText) {
+    content = type.runs.map(_htmlRun).join("");
+  } else if (type instanceof Formula) {
+    content = _escapeHtml(
+      _formatValue(computedValue ?? "", _displayFormat(type, style))
+    );
+  } else {
+    content = _escapeHtml(
+      _formatValue(type.value, _displayFormat(type, style))
+    );
+  }
+
+  if (style.rotation) {
+    content = `<div style="transform:rotate(${-style.rotation}deg)">${content}</div>`;
+  }
+
+  const attrs = [];
+  if (rowSpan > 1) attrs.push(`rowspan="${rowSpan}"`);
+  if (colSpan > 1) attrs.push(`colspan="${colSpan}"`);
+  if (note) attrs.push(`title="${_escapeHtml(note)}"`);
+  attrs.push(`style="${_escapeHtml(css)}"`);
+
+  return `<td ${attrs.join(" ")}>${content.replace(/\n/g, "<br>")}</td>`;
+}
+
+function _htmlRun({ text, font, link }) {
+  const css = [];
+  if (font?.bold !== undefined) {
+    css.push(`font-weight:${font.bold ? "bold" : "normal"}`);
+  }
+  if (font?.italic !== undefined) {
+    css.push(`font-style:${font.italic ? "italic" : "normal"}`);
+  }
+  const lines = [
+    font?.underline && "underline",
+    font?.strikethrough && "line-through",
+  ].filter(Boolean);
+  if (lines.length > 0) css.push(`text-decoration:${lines.join(" ")}`);
+  if (font?.color) css.push(`color:${font.color}`);
+  if (font?.size) css.push(`font-size:${font.size}pt`);
+  if (font?.family) css.push(`font-family:${_cssFontFamily(font.family)}`);
+
+  const style = css.length > 0 ? ` style="${_escapeHtml(css.join(";"))}"` : "";
+  const html = _escapeHtml(text);
+  if (typeof link === "string" && _isSafeLink(link)) {
+    return `<a href="${_escapeHtml(link)}"${style}>${html}</a>`;
+  }
+  return css.length > 0 ? `<span${style}>${html}</span>` : html;
+}
+
+function _styleToCss(style, border = style.border) {
+  const { font, alignment, padding } = style;
+  const lines = _fontLine(font);
+  const inset = (spaces) => (spaces ? `calc(3px + ${spaces}ch)` : "3px");
+  const css = [
+    padding.left || padding.right
+      ? `padding:2px ${inset(padding.right)} 2px ${inset(padding.left)}`
+      : "padding:2px 3px",
+    "overflow:hidden",
+    `font-family:${_cssFontFamily(font.family)}`,
+    `font-size:${font.size}pt`,
+    `color:${font.color}`,
+    `font-weight:${font.bold ? "bold" : "normal"}`,
+    `font-style:${font.italic ? "italic" : "normal"}`,
+    `text-align:${alignment.horizontal}`,
+    `vertical-align:${alignment.vertical}`,
+    `white-space:${style.wrap === WrapStrategy.WRAP ? "normal" : "nowrap"}`,
+  ];
+
+  if (lines) css.push(`text-decoration:${lines}`);
+  if (style.verticalText) {
+    css.push("writing-mode:vertical-rl", "text-orientation:upright");
+  }
+  if (style.textDirection === TextDirection.RIGHT_TO_LEFT) {
+    css.push("direction:rtl");
+  }
+  if (style.backgroundColor) {
+    css.push(`background-color:${style.backgroundColor}`);
+  }
+  const borderCss = _borderCss(border);
+  if (borderCss) css.push(borderCss);
+
+  return css.join(";") + ";";
+}
+
+function _borderCss(border) {
+  const css = [];
+  for (const side of ["top", "bottom", "left", "right"]) {
+    const edge = border[side];
+    if (!edge) continue;
+    const line = _htmlBorderStyles[String(edge.style)] || "1px solid";
+    css.push(`border-${side}:${line} ${edge.color}`);
+  }
+  return css.join(";");
+}
+
+// Other schemes (e.g. javascript:) render as plain text, since the HTML
+// ends up in emails and sidebars
+function _isSafeLink(url) {
+  return /^(https?|mailto):/i.test(url.trim());
+}
+
+// Quoted, so names such as "Open Sans" stay one family
+function _cssFontFamily(family) {
+  return `'${String(family).replace(/['\\]/g, "\\$&")}'`;
+}
+
+function _escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Applies the common subset of Sheets number formats: digit placeholders,
+// grouping, decimals, percentages, literal prefixes/suffixes and date tokens
+function _formatValue(value, pattern) {
+  if (value === null || value === undefined || value === "") return "";
+  if (value instanceof Date)
+    return _formatDate(value, pattern || NumberFormat.DATE);
+  if (typeof value !== "number" || !pattern || pattern === "General") {
+    return String(value);
+  }
+
+  const sections = pattern.split(";");
+  const section = value < 0 && sections[1] ? sections[1] : sections[0];
+  const sign = value < 0 && !sections[1] ? "-" : "";
+  const match = /^([^#0]*)([#0,]*)(?:\.([#0]+))?(%?)(.*)$/.exec(section);
+  if (!match) return String(value);
+
+  const [, prefix, integerPart, decimalPart = "", percent, suffix] = match;
+  const scaled = Math.abs(value) * (percent ? 100 : 1);
+  let [whole, fraction = ""] = scaled.toFixed(decimalPart.length).split(".");
+  if (integerPart.includes(",")) {
+    whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  }
+
+  const number = fraction ? `${whole}.${fraction}` : whole;
+  return `${sign}${prefix.replace(/"/g, "")}${number}${percent}${suffix.replace(
+    /"/g,
+    ""
+  )}`;
+}
+
+// Date tokens are case-insensitive in Sheets; "mm" after an hour is minutes
+function _formatDate(date, pattern) {
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  let afterHour = false;
+
+  return pattern.replace(/yyyy|yy|mm|m|dd|d|hh|h|ss/gi, (token) => {
+    const lower = token.toLowerCase();
+    if (lower.startsWith("h")) {
+      afterHour = true;
+      return lower === "hh" ? pad(date.getHours()) : String(date.getHours());
+    }
+    if (lower.startsWith("m")) {
+      const minutes = afterHour;
+      afterHour = false;
+      const n = minutes ? date.getMinutes() : date.getMonth() + 1;
+      return lower === "mm" ? pad(n) : String(n);
+    }
+    afterHour = false;
+    if (lower === "yyyy") return String(date.getFullYear());
+    if (lower === "yy") return pad(date.getFullYear() % 100);
+    if (lower === "dd") return pad(date.getDate());
+    if (lower === "d") return String(date.getDate());
+    return pad(date.getSeconds());
+  });
+}
+
+// ============================================================================
+// HEADLESS BACKEND
+// ============================================================================
+
+// Outside Apps Script the stand-ins from ReaSheetMemory.js take the place of
+// the services, so the same render pipeline runs in Node tests against a
+// MemorySheet. The Sheets API backend builds its rules with the detached
+// builders below (see _requestGrids).
+function _spreadsheetApp() {
+  if (typeof SpreadsheetApp !== "undefined") return SpreadsheetApp;
+  if (typeof MemorySpreadsheetApp !== "undefined") return MemorySpreadsheetApp;
+  throw _missingService("SpreadsheetApp");
+}
+
+function _sheetsApi() {
+  if (typeof Sheets === "undefined") {
+    throw new Error(
+      'The "api" backend needs the advanced Sheets service (Services > Google Sheets API)'
+    );
+  }
+  return Sheets;
+}
+
+function _documentProperties() {
+  if (typeof PropertiesService !== "undefined") {
+    return PropertiesService.getDocumentProperties();
+  }
+  if (typeof MemoryPropertiesService !== "undefined") {
+    return MemoryPropertiesService.getDocumentProperties();
+  }
+  throw _missingService("PropertiesService");
+}
+
+function _scriptApp() {
+  if (typeof ScriptApp !== "undefined") return ScriptApp;
+  if (typeof MemoryScriptApp !== "undefined") return MemoryScriptApp;
+  throw _missingService("ScriptApp");
+}
+
+function _missingService(name) {
+  return new Error(
+    `${name} is not available. Outside Apps Script, load ReaSheetMemory.js for the in-memory stand-in`
+  );
+}
+
+// ============================================================================
+// DETACHED BUILDERS
+// ============================================================================
+
+// Plain-object versions of SpreadsheetApp's validation, conditional format
+// and rich text builders. They need no spreadsheet, so the Sheets API backend
+// can build rules while composing requests; the in-memory stand-in hands them
+// out as its own.
+var _DETACHED_APP = Object.freeze({
+  InterpolationType: Object.freeze({
+    NUMBER: "NUMBER",
+    PERCENT: "PERCENT",
+    PERCENTILE: "PERCENTILE",
+    MIN: "MIN",
+    MAX: "MAX",
+  }),
+  RelativeDate: Object.freeze({
+    TODAY: "TODAY",
+    TOMORROW: "TOMORROW",
+    YESTERDAY: "YESTERDAY",
+    PAST_WEEK: "PAST_WEEK",
+    PAST_MONTH: "PAST_MONTH",
+    PAST_YEAR: "PAST_YEAR",
+  }),
+  newDataValidation: () => new DetachedDataValidationBuilder(),
+  newConditionalFormatRule: () => new DetachedConditionalFormatRuleBuilder(),
+  newRichTextValue: () => new DetachedRichTextValueBuilder(),
+  newTextStyle: () => new DetachedTextStyleBuilder(),
+});
+
+class DetachedDataValidation {
+  constructor({ criteria, values, allowInvalid, helpText }) {
+    this._criteria = criteria;
+    this._values = values;
+    this._allowInvalid = allowInvalid;
+    this._helpText = helpText;
+  }
+
+  getCriteriaType() {
+    return this._criteria;
+  }
+
+  getCriteriaValues() {
+    return this._values;
+  }
+
+  getAllowInvalid() {
+    return this._allowInvalid;
+  }
+
+  getHelpText() {
+    return this._helpText;
+  }
+
+  copy() {
+    const builder = new DetachedDataValidationBuilder();
+    builder._criteria = this._criteria;
+    builder._values = this._values;
+    builder._allowInvalid = this._allowInvalid;
+    builder._helpText = this._helpText;
+    return builder;
+  }
+
+  toJSON() {
+    const values = this._values.map((value) =>
+      typeof value?.getA1Notation === "function"
+        ? `${value.getSheet().getName()}!${value.getA1Notation()}`
+        : value
+    );
+    const json = { criteria: this._criteria, values };
+    if (!this._allowInvalid) json.allowInvalid = false;
+    if (this._helpText) json.helpText = this._helpText;
+    return json;
+  }
+}
+
+class DetachedDataValidationBuilder {
+  constructor() {
+    this._criteria = null;
+    this._values = [];
+    this._allowInvalid = true;
+    this._helpText = "";
+  }
+
+  requireCheckbox(...values) {
+    return this._require("CHECKBOX", values);
+  }
+
+  requireValueInList(values, showDropdown = true) {
+    return this._require("VALUE_IN_LIST", [values, showDropdown]);
+  }
+
+  requireDate() {
+    return this._require("DATE_IS_VALID_DATE", []);
+  }
+
+  requireDateAfter(date) {
+    return this._require("DATE_AFTER", [date]);
+  }
+
+  requireDateBefore(date) {
+    return this._require("DATE_BEFORE", [date]);
+  }
+
+  requireDateOnOrAfter(date) {
+    return this._require("DATE_ON_OR_AFTER", [date]);
+  }
+
+  requireDateOnOrBefore(date) {
+    return this._require("DATE_ON_OR_BEFORE", [date]);
+  }
+
+  requireDateBetween(start, end) {
+    return this._require("DATE_BETWEEN", [start, end]);
+  }
+
+  requireNumberBetween(start, end) {
+    return this._require("NUMBER_BETWEEN", [start, end]);
+  }
+
+  requireNumberGreaterThanOrEqualTo(number) {
+    return this._require("NUMBER_GREATER_THAN_OR_EQUAL_TO", [number]);
+  }
+
+  requireNumberLessThanOrEqualTo(number) {
+    return this._require("NUMBER_LESS_THAN_OR_EQUAL_TO", [number]);
+  }
+
+  requireTextIsEmail() {
+    return this._require("TEXT_IS_VALID_EMAIL", []);
+  }
+
+  requireTextIsUrl() {
+    return this._require("TEXT_IS_VALID_URL", []);
+  }
+
+  requireFormulaSatisfied(formula) {
+    return this._require("CUSTOM_FORMULA", [formula]);
+  }
+
+  requireValueInRange(range, showDropdown = true) {
+    return this._require("VALUE_IN_RANGE", [range, showDropdown]);
+  }
+
+  setAllowInvalid(allowInvalid) {
+    this._allowInvalid = allowInvalid;
+    return this;
+  }
+
+  setHelpText(helpText) {
+    this._helpText = helpText;
+    return this;
+  }
+
+  build() {
+    return new DetachedDataValidation({
+      criteria: this._criteria,
+      values: this._values,
+      allowInvalid: this._allowInvalid,
+      helpText: this._helpText,
+    });
+  }
+
+  _require(criteria, values) {
+    this._criteria = criteria;
+    this._values = values;
+    return this;
+  }
+}
+
+class DetachedBooleanCondition {
+  constructor({ criteria, values, format }) {
+    this._criteria = criteria;
+    this._values = values;
+    this._format = format;
+  }
+
+  getCriteriaType() {
+    return this._criteria;
+  }
+
+  getCriteriaValues() {
+    return this._values;
+  }
+
+  getBackground() {
+    return this._format.background ?? null;
+  }
+
+  getFontColor() {
+    return this._format.fontColor ?? null;
+  }
+
+  getBold() {
+    return this._format.bold ?? null;
+  }
+
+  getItalic() {
+    return this._format.italic ?? null;
+  }
+
+  getStrikethrough() {
+    return this._format.strikethrough ?? null;
+  }
+
+  getUnderline() {
+    return this._format.underline ?? null;
+  }
+}
+
+class DetachedGradientCondition {
+  constructor(points) {
+    this._points = points;
+  }
+
+  getMinColor() {
+    return this._points.min?.color ?? null;
+  }
+
+  getMinType() {
+    return this._points.min?.type ?? null;
+  }
+
+  getMinValue() {
+    return this._points.min?.value ?? null;
+  }
+
+  getMidColor() {
+    return this._points.mid?.color ?? null;
+  }
+
+  getMidType() {
+    return this._points.mid?.type ?? null;
+  }
+
+  getMidValue() {
+    return this._points.mid?.value ?? null;
+  }
+
+  getMaxColor() {
+    return this._points.max?.color ?? null;
+  }
+
+  getMaxType() {
+    return this._points.max?.type ?? null;
+  }
+
+  getMaxValue() {
+    return this._points.max?.value ?? null;
+  }
+
+  toJSON() {
+    return this._points;
+  }
+}
+
+class DetachedConditionalFormatRule {
+  constructor({ ranges, criteria, values, format, gradient }) {
+    this._ranges = ranges;
+    this._condition = gradient
+      ? null
+      : new DetachedBooleanCondition({ criteria, values, format });
+    this._gradient = gradient ? new DetachedGradientCondition(gradient) : null;
+  }
+
+  getRanges() {
+    return this._ranges;
+  }
+
+  getBooleanCondition() {
+    return this._condition;
+  }
+
+  getGradientCondition() {
+    return this._gradient;
+  }
+
+  copy() {
+    const builder = new DetachedConditionalFormatRuleBuilder();
+    builder._ranges = this._ranges;
+    if (this._gradient) {
+      builder._gradient = { ...this._gradient._points };
+    } else {
+      builder._criteria = this._condition._criteria;
+      builder._values = this._condition._values;
+      builder._format = { ...this._condition._format };
+    }
+    return builder;
+  }
+
+  toJSON() {
+    const ranges = this._ranges.map((range) => range.getA1Notation());
+    if (this._gradient) return { ranges, gradient: this._gradient.toJSON() };
+    return {
+      ranges,
+      criteria: this._condition._criteria,
+      values: this._condition._values,
+      format: this._condition._format,
+    };
+  }
+}
+
+class DetachedConditionalFormatRuleBuilder {
+  constructor() {
+    this._ranges = [];
+    this._criteria = null;
+    this._values = [];
+    this._format = {};
+    this._gradient = null;
+  }
+
+  whenNumberGreaterThan(number) {
+    return this._when("NUMBER_GREATER_THAN", [number]);
+  }
+
+  whenNumberGreaterThanOrEqualTo(number) {
+    return this._when("NUMBER_GREATER_THAN_OR_EQUAL_TO", [number]);
+  }
+
+  whenNumberLessThan(number) {
+    return this._when("NUMBER_LESS_THAN", [number]);
+  }
+
+  whenNumberLessThanOrEqualTo(number) {
+    return this._when("NUMBER_LESS_THAN_OR_EQUAL_TO", [number]);
+  }
+
+  whenNumberEqualTo(number) {
+    return this._when("NUMBER_EQUAL_TO", [number]);
+  }
+
+  whenNumberNotEqualTo(number) {
+    return this._when("NUMBER_NOT_EQUAL_TO", [number]);
+  }
+
+  whenNumberBetween(start, end) {
+    return this._when("NUMBER_BETWEEN", [start, end]);
+  }
+
+  whenNumberNotBetween(start, end) {
+    return this._when("NUMBER_NOT_BETWEEN", [start, end]);
+  }
+
+  whenTextEqualTo(text) {
+    return this._when("TEXT_EQUAL_TO", [text]);
+  }
+
+  whenTextContains(text) {
+    return this._when("TEXT_CONTAINS", [text]);
+  }
+
+  whenCellEmpty() {
+    return this._when("CELL_EMPTY", []);
+  }
+
+  whenCellNotEmpty() {
+    return this._when("CELL_NOT_EMPTY", []);
+  }
+
+  whenDateBefore(date) {
+    return this._when("DATE_BEFORE", [date]);
+  }
+
+  whenDateAfter(date) {
+    return this._when("DATE_AFTER", [date]);
+  }
+
+  whenDateEqualTo(date) {
+    return this._when("DATE_EQUAL_TO", [date]);
+  }
+
+  whenFormulaSatisfied(formula) {
+    return this._when("CUSTOM_FORMULA", [formula]);
+  }
+
+  setGradientMinpoint(color) {
+    return this._point("min", { color, type: "MIN" });
+  }
+
+  setGradientMinpointWithValue(color, type, value) {
+    return this._point("min", { color, type: String(type), value });
+  }
+
+  setGradientMidpointWithValue(color, type, value) {
+    return this._point("mid", { color, type: String(type), value });
+  }
+
+  setGradientMaxpoint(color) {
+    return this._point("max", { color, type: "MAX" });
+  }
+
+  setGradientMaxpointWithValue(color, type, value) {
+    return this._point("max", { color, type: String(type), value });
+  }
+
+  setBackground(color) {
+    return this._set("background", color);
+  }
+
+  setFontColor(color) {
+    return this._set("fontColor", color);
+  }
+
+  setBold(bold) {
+    return this._set("bold", bold);
+  }
+
+  setItalic(italic) {
+    return this._set("italic", italic);
+  }
+
+  setStrikethrough(strikethrough) {
+    return this._set("strikethrough", strikethrough);
+  }
+
+  setUnderline(underline) {
+    return this._set("underline", underline);
+  }
+
+  setRanges(ranges) {
+    this._ranges = ranges;
+    return this;
+  }
+
+  build() {
+    return new DetachedConditionalFormatRule({
+      ranges: this._ranges,
+      criteria: this._criteria,
+      values: this._values,
+      format: this._format,
+      gradient: this._gradient,
+    });
+  }
+
+  _point(name, point) {
+    this._gradient = { ...this._gradient, [name]: point };
+    return this;
+  }
+
+  _when(criteria, values) {
+    this._criteria = criteria;
+    this._values = values;
+    return this;
+  }
+
+  _set(property, value) {
+    if (value === null || value === undefined) {
+      delete this._format[property];
+    } else {
+      this._format[property] = value;
+    }
+    return this;
+  }
+}
+
+class DetachedTextStyle {
+  constructor(properties) {
+    this._properties = properties;
+  }
+
+  isBold() {
+    return this._properties.bold ?? null;
+  }
+
+  isItalic() {
+    return this._properties.italic ?? null;
+  }
+
+  isUnderline() {
+    return this._properties.underline ?? null;
+  }
+
+  isStrikethrough() {
+    return this._properties.strikethrough ?? null;
+  }
+
+  getForegroundColor() {
+    return this._properties.foregroundColor ?? null;
+  }
+
+  getFontSize() {
+    return this._properties.fontSize ?? null;
+  }
+
+  getFontFamily() {
+    return this._properties.fontFamily ?? null;
+  }
+
+  toJSON() {
+    return this._properties;
+  }
+}
+
+class DetachedTextStyleBuilder {
+  constructor() {
+    this._properties = {};
+  }
+
+  setBold(bold) {
+    return this._set("bold", bold);
+  }
+
+  setItalic(italic) {
+    return this._set("italic", italic);
+  }
+
+  setUnderline(underline) {
+    return this._set("underline", underline);
+  }
+
+  setStrikethrough(strikethrough) {
+    return this._set("strikethrough", strikethrough);
+  }
+
+  setForegroundColor(color) {
+    return this._set("foregroundColor", color);
+  }
+
+  setFontSize(size) {
+    return this._set("fontSize", size);
+  }
+
+  setFontFamily(family) {
+    return this._set("fontFamily", family);
+  }
+
+  build() {
+    return new DetachedTextStyle({ ...this._properties });
+  }
+
+  _set(property, value) {
+    this._properties[property] = value;
+    return this;
+  }
+}
+
+class DetachedRichTextValue {
+  constructor(text, runs, start = 0) {
+    this._text = text;
+    this._runs = runs;
+    this._start = start;
+  }
+
+  getText() {
+    return this._text;
+  }
+
+  getLinkUrl() {
+    const run = this._runs.find(
+      (r) => r.start === 0 && r.end === this._text.length
+    );
+    return run?.link ?? null;
+  }
+
+  getTextStyle() {
+    const run = this._runs.find(
+      (r) => r.start === 0 && r.end === this._text.length
+    );
+    return run?.style ?? new DetachedTextStyle({});
+  }
+
+  getStartIndex() {
+    return this._start;
+  }
+
+  getEndIndex() {
+    return this._start + this._text.length;
+  }
+
+  // Runs covering the whole text, unstyled stretches included, as in Sheets
+  getRuns() {
+    const runs = [];
+    const slice = (start, end, properties = {}) => {
+      const run = new DetachedRichTextValue(
+        this._text.slice(start, end),
+        [{ ...properties, start: 0, end: end - start }],
+        start
+      );
+      runs.push(run);
+    };
+
+    let index = 0;
+    for (const run of this._runs.slice().sort((a, b) => a.start - b.start)) {
+      if (run.start > index) slice(index, run.start);
+      slice(run.start, run.end, run);
+      index = run.end;
+    }
+    if (index < this._text.length) slice(index, this._text.length);
+    return runs;
+  }
+
+  toJSON() {
+    return { text: this._text, runs: this._runs };
+  }
+}
+
+class DetachedRichTextValueBuilder {
+  constructor() {
+    this._text = "";
+    this._runs = [];
+  }
+
+  setText(text) {
+    this._text = text;
+    return this;
+  }
+
+  setTextStyle(startOrStyle, end, style) {
+    if (end === undefined) {
+      return this._run(0, this._text.length, { style: startOrStyle });
+    }
+    return this._run(startOrStyle, end, { style });
+  }
+
+  setLinkUrl(startOrUrl, end, url) {
+    if (end === undefined) {
+      return this._run(0, this._text.length, { link: startOrUrl });
+    }
+    return this._run(startOrUrl, end, { link: url });
+  }
+
+  build() {
+    return new DetachedRichTextValue(this._text, this._runs.slice());
+  }
+
+  _run(start, end, properties) {
+    if (start < 0 || end > this._text.length || start >= end) {
+      throw new Error(`Invalid text range ${start}-${end}`);
+    }
+    const run = this._runs.find((r) => r.start === start && r.end === end);
+    if (run) {
+      Object.assign(run, properties);
+    } else {
+      this._runs.push({ start, end, ...properties });
+    }
+    return this;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Apps Script shares globals between files; in Node, require ReaSheetMemory.js,
+// which loads this file alongside the in-memory stand-in
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WrapStrategy,
+    BorderStyle,
+    TextDirection,
+    HAlign,
+    VAlign,
+    NumberFormat,
+    Border,
+    Style,
+    Theme,
+    Text,
+    NumberCell,
+    Checkbox,
+    Dropdown,
+    DatePicker,
+    Formula,
+    RichText,
+    Link,
+    Validation,
+    ConditionalFormat,
+    Cell,
+    HStack,
+    VStack,
+    Table,
+    ThemeProvider,
+    Sheet,
+    Workbook,
+    Group,
+    Fragment,
+    FunctionComponent,
+    component,
+    createContext,
+    render,
+    renderAll,
+    buildBatchUpdate,
+    renderChunked,
+    continueChunkedRender,
+    renderToHtml,
+    layout,
+    formatLayout,
+    read,
+    dispatchEdit,
+  };
 }
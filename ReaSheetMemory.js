@@ -0,0 +1,1116 @@
+/**
+ * ReaSheets - In-memory stand-in for Google Sheets
+ *
+ * Records what the renderer writes so layouts can be rendered and asserted on
+ * outside Apps Script. Load it after ReaSheet.js; in Node, require() this file.
+ */
+
+// ============================================================================
+// SERVICES
+// ============================================================================
+
+class MemoryProperties {
+  constructor() {
+    this._values = {};
+  }
+
+  getProperty(key) {
+    return this._values[key] ?? null;
+  }
+
+  setProperty(key, value) {
+    this._values[key] = String(value);
+    return this;
+  }
+
+  setProperties(values) {
+    for (const [key, value] of Object.entries(values)) {
+      this.setProperty(key, value);
+    }
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this._values[key];
+    return this;
+  }
+
+  getKeys() {
+    return Object.keys(this._values);
+  }
+}
+
+// Records triggers instead of scheduling them; tests fire them by calling
+// the handler with `{ triggerUid }`
+class MemoryTrigger {
+  constructor(handler, after) {
+    this._id = `trigger-${MemoryTrigger._nextId++}`;
+    this._handler = handler;
+    this._after = after;
+  }
+
+  getUniqueId() {
+    return this._id;
+  }
+
+  getHandlerFunction() {
+    return this._handler;
+  }
+
+  toJSON() {
+    return { id: this._id, handler: this._handler, after: this._after };
+  }
+}
+
+MemoryTrigger._nextId = 1;
+
+class MemoryTriggerBuilder {
+  constructor(handler) {
+    this._handler = handler;
+    this._after = null;
+  }
+
+  timeBased() {
+    return this;
+  }
+
+  after(milliseconds) {
+    this._after = milliseconds;
+    return this;
+  }
+
+  create() {
+    const trigger = new MemoryTrigger(this._handler, this._after);
+    MemoryScriptApp._triggers.push(trigger);
+    return trigger;
+  }
+}
+
+var MemoryScriptApp = {
+  _triggers: [],
+  newTrigger: (handler) => new MemoryTriggerBuilder(handler),
+  getProjectTriggers() {
+    return this._triggers.slice();
+  },
+  deleteTrigger(trigger) {
+    this._triggers = this._triggers.filter(
+      (t) => t.getUniqueId() !== trigger.getUniqueId()
+    );
+  },
+};
+
+var MemoryPropertiesService = {
+  _document: null,
+  getDocumentProperties() {
+    this._document = this._document || new MemoryProperties();
+    return this._document;
+  },
+};
+
+// ============================================================================
+// SPREADSHEET
+// ============================================================================
+
+var _memoryCellDefaults = Object.freeze({
+  value: "",
+  formula: "",
+  richText: null,
+  note: "",
+  background: null,
+  fontColor: null,
+  fontSize: null,
+  fontFamily: null,
+  fontWeight: null,
+  fontStyle: null,
+  fontLine: null,
+  horizontalAlignment: null,
+  verticalAlignment: null,
+  wrapStrategy: "OVERFLOW",
+  numberFormat: "General",
+  validation: null,
+  rotation: 0,
+  verticalText: false,
+  textDirection: null,
+});
+
+var _memoryFormatKeys = [
+  "background",
+  "fontColor",
+  "fontSize",
+  "fontFamily",
+  "fontWeight",
+  "fontStyle",
+  "fontLine",
+  "horizontalAlignment",
+  "verticalAlignment",
+  "wrapStrategy",
+  "numberFormat",
+  "rotation",
+  "verticalText",
+  "textDirection",
+];
+
+// Records everything the renderer writes. Borders are stored per edge, as in
+// Sheets, so a cell's bottom border is its lower neighbour's top border.
+class MemorySheet {
+  constructor(name = "Sheet1", id = MemorySheet._nextId++) {
+    this._name = name;
+    this._id = id;
+    this._cells = new Map();
+    this._edges = new Map();
+    this._merges = [];
+    this._columnWidths = {};
+    this._rowHeights = {};
+    this._conditionalRules = [];
+    this._frozenRows = 0;
+    this._frozenColumns = 0;
+    this._hiddenColumns = new Set();
+    this._tabColor = null;
+    this._hiddenGridlines = false;
+    this._parent = null;
+    this._hidden = false;
+    this._groupDepths = { rows: new Map(), columns: new Map() };
+    this._collapsedGroups = new Set();
+    this._groupControlPositions = { rows: "AFTER", columns: "AFTER" };
+  }
+
+  getName() {
+    return this._name;
+  }
+
+  getParent() {
+    return this._parent;
+  }
+
+  hideSheet() {
+    this._hidden = true;
+    return this;
+  }
+
+  showSheet() {
+    this._hidden = false;
+    return this;
+  }
+
+  isSheetHidden() {
+    return this._hidden;
+  }
+
+  getSheetId() {
+    return this._id;
+  }
+
+  getRange(rowOrA1, col, numRows = 1, numCols = 1) {
+    if (typeof rowOrA1 === "string") {
+      const [start, end = start] = rowOrA1.split(":").map(_parseAnchor);
+      return new MemoryRange(
+        this,
+        start.row,
+        start.col,
+        end.row - start.row + 1,
+        end.col - start.col + 1
+      );
+    }
+    return new MemoryRange(this, rowOrA1, col, numRows, numCols);
+  }
+
+  clear() {
+    this._cells.clear();
+    this._edges.clear();
+    this._merges = [];
+    return this;
+  }
+
+  clearNotes() {
+    for (const cell of this._cells.values()) cell.note = "";
+    return this;
+  }
+
+  setColumnWidth(col, width) {
+    this._columnWidths[col] = width;
+    return this;
+  }
+
+  getColumnWidth(col) {
+    return this._columnWidths[col] ?? 100;
+  }
+
+  setRowHeight(row, height) {
+    this._rowHeights[row] = height;
+    return this;
+  }
+
+  getRowHeight(row) {
+    return this._rowHeights[row] ?? 21;
+  }
+
+  setFrozenRows(rows) {
+    this._frozenRows = rows;
+  }
+
+  getFrozenRows() {
+    return this._frozenRows;
+  }
+
+  setFrozenColumns(columns) {
+    this._frozenColumns = columns;
+  }
+
+  getFrozenColumns() {
+    return this._frozenColumns;
+  }
+
+  hideColumns(col, numCols = 1) {
+    for (let c = col; c < col + numCols; c++) this._hiddenColumns.add(c);
+  }
+
+  showColumns(col, numCols = 1) {
+    for (let c = col; c < col + numCols; c++) this._hiddenColumns.delete(c);
+  }
+
+  isColumnHiddenByUser(col) {
+    return this._hiddenColumns.has(col);
+  }
+
+  setTabColor(color) {
+    this._tabColor = color;
+    return this;
+  }
+
+  getTabColor() {
+    return this._tabColor;
+  }
+
+  setHiddenGridlines(hidden) {
+    this._hiddenGridlines = hidden;
+    return this;
+  }
+
+  hasHiddenGridlines() {
+    return this._hiddenGridlines;
+  }
+
+  getRowGroupDepth(row) {
+    return this._groupDepths.rows.get(row) ?? 0;
+  }
+
+  getColumnGroupDepth(col) {
+    return this._groupDepths.columns.get(col) ?? 0;
+  }
+
+  getRowGroup(row, depth) {
+    return this._group("rows", row, depth);
+  }
+
+  getColumnGroup(col, depth) {
+    return this._group("columns", col, depth);
+  }
+
+  setRowGroupControlPosition(position) {
+    this._groupControlPositions.rows = position;
+    return this;
+  }
+
+  getRowGroupControlPosition() {
+    return this._groupControlPositions.rows;
+  }
+
+  setColumnGroupControlPosition(position) {
+    this._groupControlPositions.columns = position;
+    return this;
+  }
+
+  getColumnGroupControlPosition() {
+    return this._groupControlPositions.columns;
+  }
+
+  // The maximal run around `index` whose depth is at least `depth`
+  _group(direction, index, depth) {
+    const depths = this._groupDepths[direction];
+    const at = (i) => depths.get(i) ?? 0;
+    if (depth < 1 || at(index) < depth) return null;
+
+    let start = index;
+    let end = index;
+    while (start > 1 && at(start - 1) >= depth) start--;
+    while (at(end + 1) >= depth) end++;
+    return new MemoryGroup(this, direction, start, end, depth);
+  }
+
+  _groups(direction) {
+    const depths = this._groupDepths[direction];
+    const groups = [];
+    for (const [index, maxDepth] of [...depths].sort((a, b) => a[0] - b[0])) {
+      for (let depth = 1; depth <= maxDepth; depth++) {
+        const group = this._group(direction, index, depth);
+        if (group._start === index) groups.push(group);
+      }
+    }
+    return groups.map((g) => ({
+      range:
+        direction === "rows"
+          ? `${g._start}:${g._end}`
+          : `${_columnToLetter(g._start)}:${_columnToLetter(g._end)}`,
+      depth: g.getDepth(),
+      collapsed: g.isCollapsed(),
+    }));
+  }
+
+  getConditionalFormatRules() {
+    return this._conditionalRules.slice();
+  }
+
+  setConditionalFormatRules(rules) {
+    this._conditionalRules = rules.slice();
+  }
+
+  getMaxRows() {
+    let max = 0;
+    for (const key of this._cells.keys()) {
+      max = Math.max(max, parseInt(key, 10));
+    }
+    return max;
+  }
+
+  getMaxColumns() {
+    let max = 0;
+    for (const key of this._cells.keys()) {
+      max = Math.max(max, parseInt(key.split(":")[1], 10));
+    }
+    return max;
+  }
+
+  // Plain JSON of every non-default cell property, keyed by A1 notation
+  toJSON() {
+    const cells = {};
+    const rows = this.getMaxRows();
+    const cols = this.getMaxColumns();
+
+    for (let r = 1; r <= rows; r++) {
+      for (let c = 1; c <= cols; c++) {
+        const data = this._cellData(r, c);
+        if (Object.keys(data).length > 0) cells[_memoryA1(r, c)] = data;
+      }
+    }
+
+    return {
+      name: this._name,
+      cells,
+      merges: this._merges.map((m) =>
+        _toA1({
+          minRow: m.row,
+          minCol: m.col,
+          maxRow: m.row + m.numRows - 1,
+          maxCol: m.col + m.numCols - 1,
+          numRows: m.numRows,
+          numCols: m.numCols,
+        })
+      ),
+      columnWidths: { ...this._columnWidths },
+      rowHeights: { ...this._rowHeights },
+      frozenRows: this._frozenRows,
+      frozenColumns: this._frozenColumns,
+      hiddenColumns: [...this._hiddenColumns].sort((a, b) => a - b),
+      tabColor: this._tabColor,
+      hiddenGridlines: this._hiddenGridlines,
+      rowGroups: this._groups("rows"),
+      columnGroups: this._groups("columns"),
+      conditionalFormatRules: this._conditionalRules.map((rule) =>
+        rule.toJSON ? rule.toJSON() : String(rule)
+      ),
+    };
+  }
+
+  // Text grid of the displayed contents, for readable snapshot tests
+  toAscii() {
+    const rows = this.getMaxRows();
+    const cols = this.getMaxColumns();
+    if (rows === 0 || cols === 0) return "";
+
+    const table = [
+      ["", ...Array.from({ length: cols }, (_, c) => _columnToLetter(c + 1))],
+    ];
+    for (let r = 1; r <= rows; r++) {
+      const line = [String(r)];
+      for (let c = 1; c <= cols; c++) {
+        line.push(this._isCoveredByMerge(r, c) ? "" : this._displayValue(r, c));
+      }
+      table.push(line);
+    }
+
+    const widths = table[0].map((_, c) =>
+      Math.max(...table.map((line) => line[c].length))
+    );
+    return table
+      .map((line) =>
+        line
+          .map((text, c) => text.padEnd(widths[c]))
+          .join(" | ")
+          .trimEnd()
+      )
+      .join("\n");
+  }
+
+  _cell(row, col) {
+    const key = `${row}:${col}`;
+    if (!this._cells.has(key)) this._cells.set(key, { ..._memoryCellDefaults });
+    return this._cells.get(key);
+  }
+
+  _peek(row, col) {
+    return this._cells.get(`${row}:${col}`) || _memoryCellDefaults;
+  }
+
+  _cellData(row, col) {
+    const cell = this._peek(row, col);
+    const data = {};
+    for (const [key, value] of Object.entries(cell)) {
+      if (value !== _memoryCellDefaults[key]) data[key] = value;
+    }
+
+    const border = this._border(row, col);
+    if (Object.keys(border).length > 0) data.border = border;
+    return data;
+  }
+
+  _border(row, col) {
+    const sides = {
+      top: this._edges.get(`h:${row}:${col}`),
+      bottom: this._edges.get(`h:${row + 1}:${col}`),
+      left: this._edges.get(`v:${row}:${col}`),
+      right: this._edges.get(`v:${row}:${col + 1}`),
+    };
+    const border = {};
+    for (const [side, edge] of Object.entries(sides)) {
+      if (edge) border[side] = edge;
+    }
+    return border;
+  }
+
+  _setEdge(key, value, color, style) {
+    if (value === null || value === undefined) return;
+    if (value) {
+      this._edges.set(key, {
+        color: color ?? "black",
+        style: String(style ?? BorderStyle.SOLID),
+      });
+    } else {
+      this._edges.delete(key);
+    }
+  }
+
+  _isCoveredByMerge(row, col) {
+    return this._merges.some(
+      (m) =>
+        row >= m.row &&
+        row < m.row + m.numRows &&
+        col >= m.col &&
+        col < m.col + m.numCols &&
+        (row !== m.row || col !== m.col)
+    );
+  }
+
+  _displayValue(row, col) {
+    const cell = this._peek(row, col);
+    if (cell.formula) return cell.formula;
+    if (cell.validation?.getCriteriaType() === "CHECKBOX") {
+      return cell.value === true ? "[x]" : "[ ]";
+    }
+    if (cell.value === null) return "";
+    if (cell.value instanceof Date)
+      return cell.value.toISOString().slice(0, 10);
+    return String(cell.value);
+  }
+}
+
+MemorySheet._nextId = 1;
+
+class MemoryRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    this._sheet = sheet;
+    this._row = row;
+    this._col = col;
+    this._numRows = numRows;
+    this._numCols = numCols;
+  }
+
+  getSheet() {
+    return this._sheet;
+  }
+
+  getRow() {
+    return this._row;
+  }
+
+  getColumn() {
+    return this._col;
+  }
+
+  getNumRows() {
+    return this._numRows;
+  }
+
+  getNumColumns() {
+    return this._numCols;
+  }
+
+  getLastRow() {
+    return this._row + this._numRows - 1;
+  }
+
+  getLastColumn() {
+    return this._col + this._numCols - 1;
+  }
+
+  getA1Notation() {
+    return _toA1({
+      minRow: this._row,
+      minCol: this._col,
+      maxRow: this.getLastRow(),
+      maxCol: this.getLastColumn(),
+      numRows: this._numRows,
+      numCols: this._numCols,
+    });
+  }
+
+  getValues() {
+    return this._read("value");
+  }
+
+  getValue() {
+    return this._sheet._peek(this._row, this._col).value;
+  }
+
+  getFormulas() {
+    return this._read("formula");
+  }
+
+  getNotes() {
+    return this._read("note");
+  }
+
+  getDataValidations() {
+    return this._read("validation");
+  }
+
+  getBackgrounds() {
+    return this._read("background");
+  }
+
+  getNumberFormats() {
+    return this._read("numberFormat");
+  }
+
+  setValues(values) {
+    this._write(values, (cell, value) => {
+      cell.value = value;
+      cell.formula = "";
+      cell.richText = null;
+    });
+    return this;
+  }
+
+  setValue(value) {
+    return this.setValues([[value]]);
+  }
+
+  setFormulas(formulas) {
+    this._write(formulas, (cell, formula) => {
+      cell.formula = formula;
+      cell.value = "";
+      cell.richText = null;
+    });
+    return this;
+  }
+
+  getRichTextValues() {
+    return this._read("richText");
+  }
+
+  setRichTextValues(values) {
+    this._write(values, (cell, richText) => {
+      cell.richText = richText;
+      cell.value = richText.getText();
+      cell.formula = "";
+    });
+    return this;
+  }
+
+  setNote(note) {
+    this._each((cell) => (cell.note = note));
+    return this;
+  }
+
+  setNotes(notes) {
+    return this._set("note", notes);
+  }
+
+  clearNote() {
+    this._each((cell) => (cell.note = ""));
+    return this;
+  }
+
+  setBackgrounds(colors) {
+    return this._set("background", colors);
+  }
+
+  setFontColors(colors) {
+    return this._set("fontColor", colors);
+  }
+
+  setFontSizes(sizes) {
+    return this._set("fontSize", sizes);
+  }
+
+  setFontFamilies(families) {
+    return this._set("fontFamily", families);
+  }
+
+  setFontWeights(weights) {
+    return this._set("fontWeight", weights);
+  }
+
+  setFontStyles(styles) {
+    return this._set("fontStyle", styles);
+  }
+
+  setFontLines(lines) {
+    return this._set("fontLine", lines);
+  }
+
+  // Only the attributes a style sets are applied, as in Sheets
+  setTextStyles(styles) {
+    return this._write(styles, (cell, style) => {
+      const bold = style.isBold();
+      const italic = style.isItalic();
+      const lines = cell.fontLine || "";
+      const underline = style.isUnderline() ?? lines.includes("underline");
+      const strikethrough =
+        style.isStrikethrough() ?? lines.includes("line-through");
+      if (bold !== null) cell.fontWeight = bold ? "bold" : "normal";
+      if (italic !== null) cell.fontStyle = italic ? "italic" : "normal";
+      cell.fontLine = _fontLine({ underline, strikethrough });
+      cell.fontColor = style.getForegroundColor() ?? cell.fontColor;
+      cell.fontSize = style.getFontSize() ?? cell.fontSize;
+      cell.fontFamily = style.getFontFamily() ?? cell.fontFamily;
+    });
+  }
+
+  setHorizontalAlignments(alignments) {
+    return this._set("horizontalAlignment", alignments);
+  }
+
+  setVerticalAlignments(alignments) {
+    return this._set("verticalAlignment", alignments);
+  }
+
+  setWrapStrategies(strategies) {
+    return this._write(strategies, (cell, strategy) => {
+      cell.wrapStrategy = strategy === null ? "OVERFLOW" : String(strategy);
+    });
+  }
+
+  setNumberFormats(formats) {
+    return this._set("numberFormat", formats);
+  }
+
+  setDataValidations(validations) {
+    return this._set("validation", validations);
+  }
+
+  setDataValidation(rule) {
+    this._each((cell) => (cell.validation = rule));
+    return this;
+  }
+
+  clearDataValidations() {
+    this._each((cell) => (cell.validation = null));
+    return this;
+  }
+
+  setTextRotations(rotations) {
+    return this._write(rotations, (cell, rotation) => {
+      cell.rotation = rotation;
+      cell.verticalText = false;
+    });
+  }
+
+  setVerticalText(isVertical) {
+    this._each((cell) => {
+      cell.verticalText = isVertical;
+      cell.rotation = 0;
+    });
+    return this;
+  }
+
+  setTextDirections(directions) {
+    return this._write(directions, (cell, direction) => {
+      cell.textDirection = direction === null ? null : String(direction);
+    });
+  }
+
+  clear() {
+    this._each((cell) => {
+      cell.value = "";
+      cell.formula = "";
+      cell.richText = null;
+      for (const key of _memoryFormatKeys) {
+        cell[key] = _memoryCellDefaults[key];
+      }
+    });
+    this.setBorder(false, false, false, false, false, false);
+    return this;
+  }
+
+  // Merging over a whole existing merge replaces it; cutting through one
+  // fails, as it does in Sheets
+  merge() {
+    const bounds = this._bounds();
+    const overlapping = this._sheet._merges.filter((m) =>
+      _intersects(_memoryMergeBounds(m), bounds)
+    );
+    for (const m of overlapping) {
+      const inner = _memoryMergeBounds(m);
+      if (
+        inner.minRow < bounds.minRow ||
+        inner.minCol < bounds.minCol ||
+        inner.maxRow > bounds.maxRow ||
+        inner.maxCol > bounds.maxCol
+      ) {
+        throw new Error(
+          `Cannot merge ${this.getA1Notation()}: overlaps a merge`
+        );
+      }
+    }
+
+    this._sheet._merges = this._sheet._merges
+      .filter((m) => !overlapping.includes(m))
+      .concat({
+        row: this._row,
+        col: this._col,
+        numRows: this._numRows,
+        numCols: this._numCols,
+      });
+    return this;
+  }
+
+  shiftRowGroupDepth(delta) {
+    this._shiftGroupDepth("rows", this._row, this._numRows, delta);
+    return this;
+  }
+
+  shiftColumnGroupDepth(delta) {
+    this._shiftGroupDepth("columns", this._col, this._numCols, delta);
+    return this;
+  }
+
+  _shiftGroupDepth(direction, start, count, delta) {
+    const depths = this._sheet._groupDepths[direction];
+    for (let i = start; i < start + count; i++) {
+      const depth = Math.max(0, (depths.get(i) ?? 0) + delta);
+      if (depth === 0) depths.delete(i);
+      else depths.set(i, depth);
+    }
+  }
+
+  breakApart() {
+    const bounds = this._bounds();
+    this._sheet._merges = this._sheet._merges.filter(
+      (m) => !_intersects(_memoryMergeBounds(m), bounds)
+    );
+    return this;
+  }
+
+  // Same argument order as Range.setBorder: true sets, false clears and
+  // null leaves an edge unchanged
+  setBorder(top, left, bottom, right, vertical, horizontal, color, style) {
+    const sheet = this._sheet;
+    const lastRow = this.getLastRow();
+    const lastCol = this.getLastColumn();
+
+    for (let c = this._col; c <= lastCol; c++) {
+      sheet._setEdge(`h:${this._row}:${c}`, top, color, style);
+      sheet._setEdge(`h:${lastRow + 1}:${c}`, bottom, color, style);
+      for (let r = this._row + 1; r <= lastRow; r++) {
+        sheet._setEdge(`h:${r}:${c}`, horizontal, color, style);
+      }
+    }
+    for (let r = this._row; r <= lastRow; r++) {
+      sheet._setEdge(`v:${r}:${this._col}`, left, color, style);
+      sheet._setEdge(`v:${r}:${lastCol + 1}`, right, color, style);
+      for (let c = this._col + 1; c <= lastCol; c++) {
+        sheet._setEdge(`v:${r}:${c}`, vertical, color, style);
+      }
+    }
+    return this;
+  }
+
+  _bounds() {
+    return {
+      minRow: this._row,
+      minCol: this._col,
+      maxRow: this.getLastRow(),
+      maxCol: this.getLastColumn(),
+    };
+  }
+
+  _each(fn) {
+    for (let r = 0; r < this._numRows; r++) {
+      for (let c = 0; c < this._numCols; c++) {
+        fn(this._sheet._cell(this._row + r, this._col + c));
+      }
+    }
+  }
+
+  _read(property) {
+    return Array.from({ length: this._numRows }, (_, r) =>
+      Array.from(
+        { length: this._numCols },
+        (_, c) => this._sheet._peek(this._row + r, this._col + c)[property]
+      )
+    );
+  }
+
+  _set(property, grid) {
+    return this._write(grid, (cell, value) => (cell[property] = value));
+  }
+
+  // Mirrors Apps Script by rejecting grids that do not match the range size
+  _write(grid, assign) {
+    if (
+      grid.length !== this._numRows ||
+      grid.some((row) => row.length !== this._numCols)
+    ) {
+      throw new Error(`Grid size does not match range ${this.getA1Notation()}`);
+    }
+
+    for (let r = 0; r < this._numRows; r++) {
+      for (let c = 0; c < this._numCols; c++) {
+        assign(this._sheet._cell(this._row + r, this._col + c), grid[r][c]);
+      }
+    }
+    return this;
+  }
+}
+
+// A run of rows or columns at a group depth, as Sheet.getRowGroup returns
+class MemoryGroup {
+  constructor(sheet, direction, start, end, depth) {
+    this._sheet = sheet;
+    this._direction = direction;
+    this._start = start;
+    this._end = end;
+    this._depth = depth;
+  }
+
+  _id() {
+    return `${this._direction}:${this._start}:${this._depth}`;
+  }
+
+  getDepth() {
+    return this._depth;
+  }
+
+  getRange() {
+    const count = this._end - this._start + 1;
+    return this._direction === "rows"
+      ? this._sheet.getRange(this._start, 1, count, 1)
+      : this._sheet.getRange(1, this._start, 1, count);
+  }
+
+  isCollapsed() {
+    return this._sheet._collapsedGroups.has(this._id());
+  }
+
+  collapse() {
+    this._sheet._collapsedGroups.add(this._id());
+    return this;
+  }
+
+  expand() {
+    this._sheet._collapsedGroups.delete(this._id());
+    return this;
+  }
+}
+
+class MemorySpreadsheet {
+  constructor() {
+    this._id = `memory-${MemorySpreadsheet._nextId++}`;
+    this._sheets = [];
+    this._active = null;
+  }
+
+  getId() {
+    return this._id;
+  }
+
+  getSheets() {
+    return this._sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this._sheets.find((sheet) => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name = `Sheet${this._sheets.length + 1}`) {
+    const sheet = new MemorySheet(name);
+    sheet._parent = this;
+    this._sheets.push(sheet);
+    this._active = sheet;
+    return sheet;
+  }
+
+  getActiveSheet() {
+    return this._active || this.insertSheet();
+  }
+
+  // "Sheet!A1:B2" or "'My sheet'!A1", as Spreadsheet.getRange accepts
+  getRange(a1) {
+    const i = a1.lastIndexOf("!");
+    const name = a1
+      .slice(0, i)
+      .replace(/^'(.*)'$/, "$1")
+      .replace(/''/g, "'");
+    return this.getSheetByName(name).getRange(a1.slice(i + 1));
+  }
+
+  deleteSheet(sheet) {
+    this._sheets = this._sheets.filter(
+      (s) => s.getSheetId() !== sheet.getSheetId()
+    );
+    if (this._active === sheet) this._active = this._sheets[0] || null;
+  }
+
+  setActiveSheet(sheet) {
+    this._active = this._sheets.find(
+      (s) => s.getSheetId() === sheet.getSheetId()
+    );
+    return this._active;
+  }
+
+  // `position` is 1-based, as in Apps Script
+  moveActiveSheet(position) {
+    const sheet = this.getActiveSheet();
+    this._sheets.splice(this._sheets.indexOf(sheet), 1);
+    this._sheets.splice(position - 1, 0, sheet);
+  }
+}
+
+MemorySpreadsheet._nextId = 1;
+
+var MemorySpreadsheetApp = {
+  WrapStrategy: Object.freeze({
+    WRAP: "WRAP",
+    OVERFLOW: "OVERFLOW",
+    CLIP: "CLIP",
+  }),
+  BorderStyle: Object.freeze({
+    DOTTED: "DOTTED",
+    DASHED: "DASHED",
+    SOLID: "SOLID",
+    SOLID_MEDIUM: "SOLID_MEDIUM",
+    SOLID_THICK: "SOLID_THICK",
+    DOUBLE: "DOUBLE",
+  }),
+  TextDirection: Object.freeze({
+    LEFT_TO_RIGHT: "LEFT_TO_RIGHT",
+    RIGHT_TO_LEFT: "RIGHT_TO_LEFT",
+  }),
+  InterpolationType: Object.freeze({
+    NUMBER: "NUMBER",
+    PERCENT: "PERCENT",
+    PERCENTILE: "PERCENTILE",
+    MIN: "MIN",
+    MAX: "MAX",
+  }),
+  GroupControlTogglePosition: Object.freeze({
+    BEFORE: "BEFORE",
+    AFTER: "AFTER",
+  }),
+  RelativeDate: Object.freeze({
+    TODAY: "TODAY",
+    TOMORROW: "TOMORROW",
+    YESTERDAY: "YESTERDAY",
+    PAST_WEEK: "PAST_WEEK",
+    PAST_MONTH: "PAST_MONTH",
+    PAST_YEAR: "PAST_YEAR",
+  }),
+  newDataValidation: () => new DetachedDataValidationBuilder(),
+  newConditionalFormatRule: () => new DetachedConditionalFormatRuleBuilder(),
+  newRichTextValue: () => new DetachedRichTextValueBuilder(),
+  newTextStyle: () => new DetachedTextStyleBuilder(),
+  _active: null,
+  getActiveSpreadsheet() {
+    this._active = this._active || new MemorySpreadsheet();
+    return this._active;
+  },
+  getActive() {
+    return this.getActiveSpreadsheet();
+  },
+  flush() {},
+};
+
+function _memoryA1(row, col) {
+  return `${_columnToLetter(col)}${row}`;
+}
+
+function _memoryMergeBounds(m) {
+  return {
+    minRow: m.row,
+    minCol: m.col,
+    maxRow: m.row + m.numRows - 1,
+    maxCol: m.col + m.numCols - 1,
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+// Renders into a fresh MemorySheet and returns it for snapshot assertions
+function renderToMemory(root, options = {}) {
+  const { name = root instanceof Sheet ? root.name : undefined, ...rest } =
+    options;
+  const sheet = new MemorySpreadsheet().insertSheet(name);
+  render(sheet, root, rest);
+  return sheet;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Apps Script loads both files into one global scope. Node gives each file a
+// scope of its own, so requiring this file runs ReaSheet.js and this file
+// together and returns the exports of both.
+if (typeof module !== "undefined" && module.exports) {
+  if (typeof render === "function") {
+    Object.assign(module.exports, {
+      renderToMemory,
+      MemorySpreadsheetApp,
+      MemoryScriptApp,
+      MemoryPropertiesService,
+      MemoryGroup,
+      MemorySpreadsheet,
+      MemorySheet,
+      MemoryRange,
+      MemoryProperties,
+    });
+  } else {
+    module.exports = _loadWithReaSheet();
+  }
+}
+
+function _loadWithReaSheet() {
+  const fs = require("fs");
+  const path = require("path");
+  const vm = require("vm");
+  const source = ["ReaSheet.js", "ReaSheetMemory.js"]
+    .map((file) => fs.readFileSync(path.join(__dirname, file), "utf8"))
+    .join("\n");
+  const scope = { exports: {} };
+  vm.compileFunction(source, ["module", "require"], {
+    filename: path.join(__dirname, "ReaSheet.js"),
+  })(scope, require);
+  return scope.exports;
+}
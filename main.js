@@ -5,15 +5,11 @@
  * 1) `basicProductCard`      - simple product display with styling
  * 2) `taskTrackerDemo`       - interactive task manager with conditional formatting
  * 3) `dashboardExample`      - complex dashboard with KPIs and data tables
+ * 4) `inventoryTableExample` - data-driven table with a totals footer
  * =======================================================================
  */
 
 function basicProductCard() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet =
-    ss.getSheetByName("ProductCard") || ss.insertSheet("ProductCard");
-  sheet.clear();
-
   const layout = new VStack({
     children: [
       new Cell({
@@ -81,16 +77,10 @@ function basicProductCard() {
     ],
   });
 
-  render(sheet, layout);
+  render(new Sheet({ name: "ProductCard", children: layout }));
 }
 
 function taskTrackerDemo() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet =
-    ss.getSheetByName("TaskTracker") || ss.insertSheet("TaskTracker");
-  sheet.clear();
-  sheet.setFrozenRows(1);
-
   const headerStyle = new Style({
     backgroundColor: "#34a853",
     font: { color: "white", bold: true, size: 12 },
@@ -115,6 +105,7 @@ function taskTrackerDemo() {
     children: [
       new HStack({
         style: headerStyle,
+        sticky: true,
         children: [
           new Cell({ type: new Text("Done"), colSpan: 1 }),
           new Cell({ type: new Text("Task"), colSpan: 1 }),
@@ -196,15 +187,10 @@ function taskTrackerDemo() {
     ],
   });
 
-  render(sheet, layout);
+  render(new Sheet({ name: "TaskTracker", children: layout }));
 }
 
 function dashboardExample() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName("Dashboard") || ss.insertSheet("Dashboard");
-  sheet.clear();
-  sheet.setFrozenRows(1);
-
   const titleStyle = new Style({
     backgroundColor: "#1a73e8",
     font: { color: "white", bold: true, size: 16 },
@@ -258,12 +244,15 @@ function dashboardExample() {
                 style: kpiLabelStyle,
               }),
               new Cell({
-                type: new NumberCell(458920, NumberFormat.CURRENCY),
-                style: {
-                  ...kpiValueStyle,
+                key: "totalRevenue",
+                type: new Formula(
+                  "=SUM(INDEX({products}, 0, 4))",
+                  NumberFormat.CURRENCY
+                ),
+                style: kpiValueStyle.merge({
                   backgroundColor: "#d9ead3",
-                  font: { ...kpiValueStyle.font, color: "#0d652d" },
-                },
+                  font: { color: "#0d652d" },
+                }),
               }),
             ],
           }),
@@ -271,12 +260,15 @@ function dashboardExample() {
             children: [
               new Cell({ type: new Text("Orders"), style: kpiLabelStyle }),
               new Cell({
-                type: new NumberCell(1247, NumberFormat.INTEGER),
-                style: {
-                  ...kpiValueStyle,
+                key: "totalOrders",
+                type: new Formula(
+                  "=SUM(INDEX({products}, 0, 3))",
+                  NumberFormat.INTEGER
+                ),
+                style: kpiValueStyle.merge({
                   backgroundColor: "#cfe2f3",
-                  font: { ...kpiValueStyle.font, color: "#1c4587" },
-                },
+                  font: { color: "#1c4587" },
+                }),
               }),
             ],
           }),
@@ -287,12 +279,14 @@ function dashboardExample() {
                 style: kpiLabelStyle,
               }),
               new Cell({
-                type: new NumberCell(368, NumberFormat.CURRENCY),
-                style: {
-                  ...kpiValueStyle,
+                type: new Formula(
+                  "={totalRevenue} / {totalOrders}",
+                  NumberFormat.CURRENCY
+                ),
+                style: kpiValueStyle.merge({
                   backgroundColor: "#fff2cc",
-                  font: { ...kpiValueStyle.font, color: "#7f6000" },
-                },
+                  font: { color: "#7f6000" },
+                }),
               }),
             ],
           }),
@@ -317,102 +311,202 @@ function dashboardExample() {
         ],
       }),
 
-      new HStack({
+      new VStack({
+        key: "products",
         children: [
-          new Cell({
-            type: new Text("Laptop Pro"),
-            style: new Style({ width: 140 }),
-          }),
-          new Cell({
-            type: new Dropdown({ values: statusOptions, selected: "Active" }),
-            style: new Style({ width: 100 }),
-          }),
-          new Cell({
-            type: new NumberCell(342, NumberFormat.INTEGER),
-            style: new Style({ alignment: { horizontal: "right" }, width: 90 }),
-          }),
-          new Cell({
-            type: new NumberCell(273600, NumberFormat.CURRENCY),
-            style: new Style({
-              alignment: { horizontal: "right" },
-              width: 110,
-            }),
-          }),
-          new Cell({
-            type: new NumberCell(0.156, NumberFormat.PERCENTAGE),
-            style: new Style({
-              alignment: { horizontal: "right" },
-              backgroundColor: "#d9ead3",
-              width: 90,
-            }),
-          }),
-          new Cell({
-            type: new Checkbox(true),
-            style: new Style({
-              alignment: { horizontal: "center" },
-              width: 80,
-            }),
+          new HStack({
+            children: [
+              new Cell({
+                type: new Text("Laptop Pro"),
+                style: new Style({ width: 140 }),
+              }),
+              new Cell({
+                type: new Dropdown({
+                  values: statusOptions,
+                  selected: "Active",
+                }),
+                style: new Style({ width: 100 }),
+              }),
+              new Cell({
+                type: new NumberCell(342, NumberFormat.INTEGER),
+                style: new Style({
+                  alignment: { horizontal: "right" },
+                  width: 90,
+                }),
+              }),
+              new Cell({
+                type: new NumberCell(273600, NumberFormat.CURRENCY),
+                style: new Style({
+                  alignment: { horizontal: "right" },
+                  width: 110,
+                }),
+              }),
+              new Cell({
+                type: new NumberCell(0.156, NumberFormat.PERCENTAGE),
+                style: new Style({
+                  alignment: { horizontal: "right" },
+                  backgroundColor: "#d9ead3",
+                  width: 90,
+                }),
+              }),
+              new Cell({
+                type: new Checkbox(true),
+                style: new Style({
+                  alignment: { horizontal: "center" },
+                  width: 80,
+                }),
+              }),
+            ],
           }),
-        ],
-      }),
 
-      new HStack({
-        children: [
-          new Cell({ type: new Text("Wireless Mouse") }),
-          new Cell({
-            type: new Dropdown({ values: statusOptions, selected: "Active" }),
-          }),
-          new Cell({
-            type: new NumberCell(856, NumberFormat.INTEGER),
-            style: new Style({ alignment: { horizontal: "right" } }),
-          }),
-          new Cell({
-            type: new NumberCell(42800, NumberFormat.CURRENCY),
-            style: new Style({ alignment: { horizontal: "right" } }),
-          }),
-          new Cell({
-            type: new NumberCell(0.089, NumberFormat.PERCENTAGE),
-            style: new Style({
-              alignment: { horizontal: "right" },
-              backgroundColor: "#fff2cc",
-            }),
+          new HStack({
+            children: [
+              new Cell({ type: new Text("Wireless Mouse") }),
+              new Cell({
+                type: new Dropdown({
+                  values: statusOptions,
+                  selected: "Active",
+                }),
+              }),
+              new Cell({
+                type: new NumberCell(856, NumberFormat.INTEGER),
+                style: new Style({ alignment: { horizontal: "right" } }),
+              }),
+              new Cell({
+                type: new NumberCell(42800, NumberFormat.CURRENCY),
+                style: new Style({ alignment: { horizontal: "right" } }),
+              }),
+              new Cell({
+                type: new NumberCell(0.089, NumberFormat.PERCENTAGE),
+                style: new Style({
+                  alignment: { horizontal: "right" },
+                  backgroundColor: "#fff2cc",
+                }),
+              }),
+              new Cell({
+                type: new Checkbox(true),
+                style: new Style({ alignment: { horizontal: "center" } }),
+              }),
+            ],
           }),
-          new Cell({
-            type: new Checkbox(true),
-            style: new Style({ alignment: { horizontal: "center" } }),
+
+          new HStack({
+            children: [
+              new Cell({ type: new Text("Mechanical Keyboard") }),
+              new Cell({
+                type: new Dropdown({
+                  values: statusOptions,
+                  selected: "Pending",
+                }),
+              }),
+              new Cell({
+                type: new NumberCell(189, NumberFormat.INTEGER),
+                style: new Style({ alignment: { horizontal: "right" } }),
+              }),
+              new Cell({
+                type: new NumberCell(22680, NumberFormat.CURRENCY),
+                style: new Style({ alignment: { horizontal: "right" } }),
+              }),
+              new Cell({
+                type: new NumberCell(-0.023, NumberFormat.PERCENTAGE),
+                style: new Style({
+                  alignment: { horizontal: "right" },
+                  backgroundColor: "#f4cccc",
+                }),
+              }),
+              new Cell({
+                type: new Checkbox(false),
+                style: new Style({ alignment: { horizontal: "center" } }),
+              }),
+            ],
           }),
         ],
       }),
+    ],
+  });
 
-      new HStack({
-        children: [
-          new Cell({ type: new Text("Mechanical Keyboard") }),
-          new Cell({
-            type: new Dropdown({ values: statusOptions, selected: "Pending" }),
-          }),
-          new Cell({
-            type: new NumberCell(189, NumberFormat.INTEGER),
-            style: new Style({ alignment: { horizontal: "right" } }),
-          }),
-          new Cell({
-            type: new NumberCell(22680, NumberFormat.CURRENCY),
-            style: new Style({ alignment: { horizontal: "right" } }),
-          }),
-          new Cell({
-            type: new NumberCell(-0.023, NumberFormat.PERCENTAGE),
-            style: new Style({
-              alignment: { horizontal: "right" },
+  render(new Sheet({ name: "Dashboard", frozenRows: 1, children: dashboard }));
+}
+
+function inventoryTableExample() {
+  const items = [
+    { name: "Laptop Pro", status: "Active", stock: 42, price: 800, ok: true },
+    {
+      name: "Wireless Mouse",
+      status: "Active",
+      stock: 310,
+      price: 25,
+      ok: true,
+    },
+    { name: "USB-C Hub", status: "Pending", stock: 0, price: 45, ok: false },
+    {
+      name: 'Monitor 27"',
+      status: "Inactive",
+      stock: 7,
+      price: 320,
+      ok: false,
+    },
+  ];
+
+  const statusOptions = [
+    { value: "Active", style: new Style({ backgroundColor: "#d9ead3" }) },
+    { value: "Pending", style: new Style({ backgroundColor: "#fff2cc" }) },
+    { value: "Inactive", style: new Style({ backgroundColor: "#f4cccc" }) },
+  ];
+
+  const table = new Table({
+    key: "inventory",
+    stickyHeader: true,
+    headerStyle: new Style({
+      backgroundColor: "#666666",
+      font: { color: "white", bold: true },
+      alignment: { horizontal: "center", vertical: "middle" },
+      height: 30,
+    }),
+    stripe: new Style({ backgroundColor: "#f3f3f3" }),
+    columns: [
+      { key: "name", header: "Item", width: 160, footer: "Total" },
+      {
+        key: "status",
+        header: "Status",
+        width: 100,
+        type: (value) =>
+          new Dropdown({ values: statusOptions, selected: value }),
+      },
+      {
+        key: "stock",
+        header: "In Stock",
+        width: 90,
+        type: (value) => new NumberCell(value, NumberFormat.INTEGER),
+        footer: new Formula("=SUM({inventory.stock})", NumberFormat.INTEGER),
+        conditionalFormats: [
+          ConditionalFormat.equalTo(
+            0,
+            new Style({
               backgroundColor: "#f4cccc",
-            }),
-          }),
-          new Cell({
-            type: new Checkbox(false),
-            style: new Style({ alignment: { horizontal: "center" } }),
-          }),
+              font: { color: "#990000" },
+            })
+          ),
         ],
-      }),
+      },
+      {
+        key: "price",
+        header: "Unit Price",
+        width: 100,
+        type: (value) => new NumberCell(value, NumberFormat.CURRENCY),
+      },
+      {
+        key: "value",
+        header: "Stock Value",
+        width: 110,
+        accessor: (item) => item.stock * item.price,
+        type: (value) => new NumberCell(value, NumberFormat.CURRENCY),
+        footer: new Formula("=SUM({inventory.value})", NumberFormat.CURRENCY),
+      },
+      { key: "ok", header: "Reorder OK", width: 90 },
     ],
+    rows: items,
   });
 
-  render(sheet, dashboard);
+  render(new Sheet({ name: "Inventory", children: table }));
 }
@@ -0,0 +1,1142 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  Style,
+  Border,
+  Cell,
+  Text,
+  RichText,
+  Link,
+  NumberCell,
+  Formula,
+  Checkbox,
+  Dropdown,
+  HStack,
+  VStack,
+  Table,
+  Sheet,
+  Workbook,
+  Group,
+  ConditionalFormat,
+  Validation,
+  TextDirection,
+  WrapStrategy,
+  Theme,
+  ThemeProvider,
+  createContext,
+  render,
+  renderAll,
+  layout,
+  buildBatchUpdate,
+  renderChunked,
+  continueChunkedRender,
+  renderToHtml,
+  renderToMemory,
+  read,
+  dispatchEdit,
+  MemorySpreadsheet,
+  MemorySpreadsheetApp,
+  MemoryRange,
+  MemoryScriptApp,
+} = require("../ReaSheetMemory.js");
+
+const rows = [
+  { name: "Alpha", qty: 3, done: true },
+  { name: "Beta", qty: 12, done: false },
+];
+
+function orders(data = rows) {
+  return new Table({
+    columns: [
+      { key: "name", header: "Item", width: 120 },
+      { key: "qty", header: "Qty", width: 60 },
+      { key: "done", header: "Done", type: (v) => new Checkbox(v) },
+    ],
+    rows: data,
+  });
+}
+
+function withoutIds(json) {
+  return JSON.stringify({ ...json, name: undefined, id: undefined });
+}
+
+test("renders a layout into a MemorySheet", () => {
+  const sheet = renderToMemory(
+    new VStack({
+      children: [
+        new Cell({
+          type: new Text("Title"),
+          style: new Style({ font: { bold: true } }),
+        }),
+        orders(),
+      ],
+    })
+  );
+
+  assert.deepStrictEqual(sheet.toAscii().split("\n").slice(1), [
+    "1 | Title |     |",
+    "2 | Item  | Qty | Done",
+    "3 | Alpha | 3   | [x]",
+    "4 | Beta  | 12  | [ ]",
+  ]);
+  const json = sheet.toJSON();
+  assert.strictEqual(json.cells.A1.fontWeight, "bold");
+  assert.strictEqual(json.cells.C3.validation.getCriteriaType(), "CHECKBOX");
+  assert.deepStrictEqual(json.columnWidths, { 1: 120, 2: 60 });
+});
+
+test("plain functions render as function components", () => {
+  const Period = createContext("Q1");
+  const sheet = renderToMemory(
+    new Period.Provider({
+      value: "Q3",
+      children: new HStack({
+        children: [
+          (props, ctx) => new Cell({ type: new Text(ctx.use(Period)) }),
+          () => [
+            new Cell({ type: new Text("a") }),
+            new Cell({ type: new Text("b") }),
+          ],
+        ],
+      }),
+    })
+  );
+
+  assert.deepStrictEqual(sheet.toAscii().split("\n").slice(1), [
+    "1 | Q3 | a | b",
+  ]);
+});
+
+test("formulas resolve keys to the ranges the layout gave them", () => {
+  const sheet = (header) =>
+    renderToMemory(
+      new VStack({
+        children: [
+          header,
+          new VStack({
+            key: "items",
+            children: [
+              new Cell({ key: "first", type: new NumberCell(2) }),
+              new Cell({ type: new NumberCell(3) }),
+            ],
+          }),
+          new Cell({ type: new Formula("=SUM({items})") }),
+          new Cell({ type: new Formula((ref) => `=${ref("first")}*2`) }),
+        ],
+      })
+    );
+
+  const { cells } = sheet(null).toJSON();
+  assert.strictEqual(cells.A3.formula, "=SUM(A1:A2)");
+  assert.strictEqual(cells.A4.formula, "=A1*2");
+
+  // A row added above moves the references with it
+  const moved = sheet(new Cell({ type: new Text("Items") })).toJSON().cells;
+  assert.strictEqual(moved.A4.formula, "=SUM(A2:A3)");
+  assert.strictEqual(moved.A5.formula, "=A2*2");
+
+  assert.throws(
+    () => renderToMemory(new Cell({ type: new Formula("={missing}") })),
+    /unknown key "missing"/
+  );
+});
+
+test("tables build header, striped body and footer rows", () => {
+  const sheet = renderToMemory(
+    new Table({
+      key: "inv",
+      columns: [
+        {
+          key: "name",
+          header: "Name",
+          accessor: (row) => row.name.toUpperCase(),
+        },
+        {
+          key: "stock",
+          header: "Stock",
+          footer: new Formula("=SUM({inv.stock})"),
+        },
+      ],
+      rows: [
+        { name: "a", stock: 1 },
+        { name: "b", stock: 2 },
+        { name: "c", stock: 5 },
+      ],
+      stripe: new Style({ backgroundColor: "#eeeeee" }),
+    })
+  );
+  const { cells } = sheet.toJSON();
+
+  assert.deepStrictEqual(sheet.toAscii().split("\n").slice(1), [
+    "1 | Name | Stock",
+    "2 | A    | 1",
+    "3 | B    | 2",
+    "4 | C    | 5",
+    "5 |      | =SUM(B2:B4)",
+  ]);
+  assert.strictEqual(cells.A1.fontWeight, "bold");
+  assert.strictEqual(cells.B2.horizontalAlignment, "right");
+  assert.strictEqual(cells.A2.background, undefined);
+  assert.strictEqual(cells.A3.background, "#eeeeee");
+  assert.strictEqual(cells.A4.background, undefined);
+});
+
+test("rich text runs and links in a row are written in one call", () => {
+  const calls = [];
+  const setRichTextValues = MemoryRange.prototype.setRichTextValues;
+  MemoryRange.prototype.setRichTextValues = function (values) {
+    calls.push(this.getA1Notation());
+    return setRichTextValues.call(this, values);
+  };
+  let sheet;
+  try {
+    sheet = renderToMemory(
+      new HStack({
+        children: [
+          new Cell({
+            key: "status",
+            type: new RichText([
+              "Status: ",
+              { text: "late", font: { bold: true, color: "#cc0000" } },
+            ]),
+          }),
+          new Cell({ type: new Link("PROJ-1", "https://example.com/1") }),
+          new Cell({
+            type: new RichText([{ text: "top", link: { key: "status" } }]),
+          }),
+        ],
+      })
+    );
+  } finally {
+    MemoryRange.prototype.setRichTextValues = setRichTextValues;
+  }
+  const { cells } = sheet.toJSON();
+  const richText = (a1) => JSON.parse(JSON.stringify(cells[a1].richText));
+
+  assert.deepStrictEqual(calls, ["A1:C1"]);
+  assert.deepStrictEqual(richText("A1"), {
+    text: "Status: late",
+    runs: [
+      { start: 8, end: 12, style: { bold: true, foregroundColor: "#cc0000" } },
+    ],
+  });
+  assert.strictEqual(richText("B1").runs[0].link, "https://example.com/1");
+  assert.strictEqual(
+    richText("C1").runs[0].link,
+    `#gid=${sheet.getSheetId()}&range=A1`
+  );
+});
+
+test("styles commit fonts, padding, vertical text and direction", () => {
+  const sheet = renderToMemory(
+    new HStack({
+      children: [
+        new Cell({
+          type: new Text("a"),
+          style: new Style({
+            font: {
+              family: "Roboto Mono",
+              underline: true,
+              strikethrough: true,
+            },
+          }),
+        }),
+        new Cell({
+          type: new Text("b"),
+          style: new Style({ padding: { left: 2, right: 1 } }),
+        }),
+        new Cell({
+          type: new NumberCell(5),
+          style: new Style({ numberFormat: "0.00", padding: { left: 1 } }),
+        }),
+        new Cell({
+          type: new Text("c"),
+          style: new Style({
+            verticalText: true,
+            textDirection: TextDirection.RIGHT_TO_LEFT,
+          }),
+        }),
+        new Cell({
+          type: new NumberCell(5),
+          style: new Style({ numberFormat: "#,##0.0" }),
+        }),
+        new Cell({
+          type: new NumberCell(5, "0"),
+          style: new Style({ numberFormat: "#,##0.0" }),
+        }),
+      ],
+    })
+  );
+  const { cells } = sheet.toJSON();
+
+  assert.strictEqual(cells.A1.fontFamily, "Roboto Mono");
+  assert.strictEqual(cells.A1.fontLine, "underline line-through");
+  assert.strictEqual(cells.B1.value, "b");
+  assert.strictEqual(cells.B1.numberFormat, '"  "@" "');
+  assert.strictEqual(cells.C1.numberFormat, '" "0.00');
+  assert.strictEqual(cells.D1.verticalText, true);
+  assert.strictEqual(cells.D1.textDirection, "RIGHT_TO_LEFT");
+  assert.strictEqual(cells.E1.numberFormat, "#,##0.0");
+  assert.strictEqual(cells.F1.numberFormat, "0");
+});
+
+test("themes resolve named styles and tokens", () => {
+  const theme = new Theme({
+    palette: { primary: "#1a73e8", text: { muted: "#888888" } },
+    fontSizes: { lg: 14 },
+    styles: {
+      header: {
+        backgroundColor: "primary",
+        font: { color: "white", bold: true, size: "lg" },
+      },
+    },
+  });
+  const tree = (theme) =>
+    new ThemeProvider({
+      theme,
+      children: [
+        new Cell({ type: new Text("Orders"), style: "header" }),
+        new Cell({
+          type: new Text("Updated daily"),
+          style: new Style({ font: { color: "text.muted" } }),
+        }),
+      ],
+    });
+
+  const { cells } = renderToMemory(tree(theme)).toJSON();
+  assert.strictEqual(cells.A1.background, "#1a73e8");
+  assert.strictEqual(cells.A1.fontSize, 14);
+  assert.strictEqual(cells.A1.fontColor, "white");
+  assert.strictEqual(cells.A2.fontColor, "#888888");
+
+  const dark = theme.extend({ palette: { primary: "#000000" } });
+  assert.strictEqual(
+    renderToMemory(tree(dark)).toJSON().cells.A1.background,
+    "#000000"
+  );
+  assert.throws(
+    () => renderToMemory(new Cell({ type: new Text("x"), style: "header" })),
+    /Style "header" used outside a ThemeProvider/
+  );
+});
+
+test("sheet roots apply their settings", () => {
+  const spreadsheet = new MemorySpreadsheet();
+  const settings = (extra) =>
+    new Sheet({
+      name: "Settings",
+      frozenColumns: 1,
+      tabColor: "#ff0000",
+      hideGridlines: true,
+      ...extra,
+      children: new VStack({
+        children: [
+          new Cell({ type: new Text("Header"), sticky: true }),
+          new HStack({
+            children: [
+              new Cell({ type: new Text("a") }),
+              new Cell({ type: new Text("b") }),
+              new Cell({ key: "notes", type: new Text("c") }),
+            ],
+          }),
+        ],
+      }),
+    });
+
+  const sheet = render(settings({ hiddenColumns: ["B", "notes"] }), {
+    spreadsheet,
+  });
+  const json = sheet.toJSON();
+  assert.strictEqual(spreadsheet.getSheetByName("Settings"), sheet);
+  assert.strictEqual(json.frozenRows, 1);
+  assert.strictEqual(json.frozenColumns, 1);
+  assert.strictEqual(json.tabColor, "#ff0000");
+  assert.strictEqual(json.hiddenGridlines, true);
+  assert.deepStrictEqual(json.hiddenColumns, [2, 3]);
+
+  // The same sheet is reused, and columns no longer listed are shown again
+  assert.strictEqual(render(settings({}), { spreadsheet }), sheet);
+  assert.deepStrictEqual(sheet.toJSON().hiddenColumns, []);
+});
+
+test("reads values back by key", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Orders");
+  const root = new HStack({
+    children: [
+      new Cell({ key: "label", type: new Text("Total") }),
+      new Cell({ key: "total", type: new NumberCell(42) }),
+    ],
+  });
+  render(sheet, root);
+
+  assert.deepStrictEqual(read(sheet, root), {
+    data: { label: "Total", total: 42 },
+    errors: [],
+  });
+});
+
+test("reads a workbook back one sheet at a time", () => {
+  const spreadsheet = new MemorySpreadsheet();
+  const workbook = new Workbook({
+    sheets: [
+      new Sheet({
+        name: "Input",
+        children: new Cell({ key: "qty", type: new NumberCell(3) }),
+      }),
+      new Sheet({
+        name: "Report",
+        children: new Cell({ key: "done", type: new Checkbox(true) }),
+      }),
+    ],
+  });
+  render(workbook, { spreadsheet });
+
+  assert.deepStrictEqual(read(spreadsheet, workbook), [
+    { data: { qty: 3 }, errors: [] },
+    { data: { done: true }, errors: [] },
+  ]);
+});
+
+test("an empty checkbox reads back as unchecked", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Tasks");
+  const root = new Cell({ key: "done", type: new Checkbox(true) });
+  render(sheet, root);
+  sheet.getRange("A1").setValue("");
+
+  assert.deepStrictEqual(read(sheet, root), {
+    data: { done: false },
+    errors: [],
+  });
+});
+
+test("a reconciled re-render only rewrites what changed", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Orders");
+  render(sheet, orders(), { reconcile: true });
+  render(sheet, orders([rows[0]]), { reconcile: true });
+
+  assert.deepStrictEqual(
+    withoutIds(sheet.toJSON()),
+    withoutIds(renderToMemory(orders([rows[0]])).toJSON())
+  );
+});
+
+test("reconciled renders at different anchors keep their own cells", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Orders");
+  const column = (label, count, style) =>
+    new VStack({
+      style,
+      children: Array.from(
+        { length: count },
+        (_, i) => new Cell({ type: new Text(`${label}${i}`) })
+      ),
+    });
+  const boxed = new Style({ border: Border.all("#000000") });
+  render(sheet, column("a", 2, boxed), { reconcile: true });
+  render(sheet, column("b", 2), { anchor: "B1", reconcile: true });
+  render(sheet, column("b", 1), { anchor: "B1", reconcile: true });
+
+  assert.deepStrictEqual(sheet.toAscii().split("\n").slice(1), [
+    "1 | a0 | b0",
+    "2 | a1 |",
+  ]);
+  // B2 was cleared, but the line it shares with A2 is A2's right border
+  assert.ok(sheet.toJSON().cells.A2.border.right);
+});
+
+test("conditional formats cover their component's region", () => {
+  const sheet = renderToMemory(
+    new VStack({
+      key: "values",
+      conditionalFormats: [
+        ConditionalFormat.lessThan(
+          0,
+          new Style({ font: { color: "#cc0000" } })
+        ),
+        ConditionalFormat.colorScale({ min: "#ffffff", max: "#57bb8a" }),
+      ],
+      children: [
+        new Cell({ type: new NumberCell(-1) }),
+        new Cell({
+          type: new NumberCell(3),
+          conditionalFormats: [
+            ConditionalFormat.formula(
+              "={self} > AVERAGE({values})",
+              new Style({ font: { bold: true } })
+            ),
+            ConditionalFormat.dateBefore(
+              "today",
+              new Style({ backgroundColor: "#f4cccc" })
+            ),
+          ],
+        }),
+      ],
+    })
+  );
+
+  assert.deepStrictEqual(sheet.toJSON().conditionalFormatRules, [
+    {
+      ranges: ["A2"],
+      criteria: "CUSTOM_FORMULA",
+      values: ["=A2 > AVERAGE($A$1:$A$2)"],
+      format: { bold: true },
+    },
+    {
+      ranges: ["A2"],
+      criteria: "DATE_BEFORE",
+      values: ["TODAY"],
+      format: { background: "#f4cccc" },
+    },
+    {
+      ranges: ["A1:A2"],
+      criteria: "NUMBER_LESS_THAN",
+      values: [0],
+      format: { fontColor: "#cc0000" },
+    },
+    {
+      ranges: ["A1:A2"],
+      gradient: {
+        min: { color: "#ffffff", type: "MIN" },
+        max: { color: "#57bb8a", type: "MAX" },
+      },
+    },
+  ]);
+});
+
+test("renders at different anchors own their conditional rules", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Orders");
+  const flagged = (text) =>
+    new Cell({
+      type: new Text(text),
+      conditionalFormats: [
+        ConditionalFormat.textContains(
+          "!",
+          new Style({ backgroundColor: "#ff0000" })
+        ),
+      ],
+    });
+  render(sheet, flagged("a!"), { anchor: "A2" });
+  render(sheet, flagged("e!"), { anchor: "E2" });
+  render(sheet, flagged("e!"), { anchor: "E2" });
+
+  const ranges = sheet
+    .getConditionalFormatRules()
+    .map((rule) => rule.getRanges()[0].getA1Notation());
+  assert.deepStrictEqual(ranges, ["A2", "E2"]);
+});
+
+test("dependent dropdown lists are kept per render", () => {
+  const spreadsheet = new MemorySpreadsheet();
+  const sheet = spreadsheet.insertSheet("Orders");
+  const pair = new HStack({
+    children: [
+      new Cell({
+        key: "category",
+        type: new Dropdown({ values: ["Hardware"], selected: "Hardware" }),
+      }),
+      new Cell({
+        type: new Dropdown({
+          dependsOn: "category",
+          options: { Hardware: ["Laptop"] },
+        }),
+      }),
+    ],
+  });
+  render(sheet, pair);
+  render(sheet, new Cell({ type: new Text("note") }), { anchor: "E1" });
+
+  const id = sheet.getSheetId();
+  assert.ok(spreadsheet.getSheetByName(`ReaSheet lists ${id}.A1`));
+  assert.strictEqual(
+    spreadsheet.getSheetByName(`ReaSheet lists ${id}.E1`),
+    null
+  );
+});
+
+test("dependent dropdowns reject parents on another sheet", () => {
+  const workbook = new Workbook({
+    sheets: [
+      new Sheet({
+        name: "Categories",
+        children: new Cell({
+          key: "category",
+          type: new Dropdown({ values: ["Hardware"] }),
+        }),
+      }),
+      new Sheet({
+        name: "Items",
+        children: new Cell({
+          type: new Dropdown({
+            dependsOn: "category",
+            options: { Hardware: ["Laptop"] },
+          }),
+        }),
+      }),
+    ],
+  });
+
+  assert.throws(
+    () => render(workbook, { spreadsheet: new MemorySpreadsheet() }),
+    /which is on sheet "Categories"/
+  );
+});
+
+test("renders at different anchors keep their own groups", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Tasks");
+  const section = (label) =>
+    new VStack({
+      children: [
+        new Cell({ type: new Text(label) }),
+        new Group({
+          children: [
+            new Cell({ type: new Text(`${label} task`) }),
+            new Cell({ type: new Text(`${label} task`) }),
+          ],
+        }),
+      ],
+    });
+  render(sheet, section("a"));
+  render(sheet, new Cell({ type: new Text("e") }), { anchor: "E1" });
+
+  assert.deepStrictEqual(sheet.toJSON().rowGroups, [
+    { range: "2:3", depth: 1, collapsed: false },
+  ]);
+});
+
+test("rerender writes a key on another sheet of a workbook", () => {
+  const spreadsheet = new MemorySpreadsheet();
+  let count = 1;
+  const workbook = () =>
+    new Workbook({
+      sheets: [
+        new Sheet({
+          name: "Input",
+          children: new Cell({
+            type: new NumberCell(count),
+            onChange: ({ value, rerender }) => {
+              count = value;
+              rerender("total");
+            },
+          }),
+        }),
+        new Sheet({
+          name: "Report",
+          children: new VStack({
+            children: [
+              new Cell({ type: new Text("Total") }),
+              new Cell({
+                key: "total",
+                type: new NumberCell(count),
+                conditionalFormats: [
+                  ConditionalFormat.formula("={self} > 1", {
+                    backgroundColor: "#ff0000",
+                  }),
+                ],
+              }),
+            ],
+          }),
+        }),
+      ],
+    });
+  const [input, report] = render(workbook(), { spreadsheet });
+
+  input.getRange("A1").setValue(5);
+  assert.ok(dispatchEdit({ range: input.getRange("A1") }, workbook));
+  assert.strictEqual(report.getRange("A2").getValue(), 5);
+  assert.strictEqual(report.getRange("A1").getValue(), "Total");
+  assert.strictEqual(input.getRange("A1").getValue(), 5);
+  assert.strictEqual(report.getConditionalFormatRules().length, 1);
+  assert.strictEqual(input.getConditionalFormatRules().length, 0);
+});
+
+test("editing a parent points its dependent dropdown at the new list", () => {
+  const tree = () =>
+    new HStack({
+      children: [
+        new Cell({
+          key: "category",
+          type: new Dropdown({ values: ["Fruit", "Veg"], selected: "Fruit" }),
+        }),
+        new Cell({
+          type: new Dropdown({
+            dependsOn: "category",
+            selected: "Apple",
+            options: { Fruit: ["Apple"], Veg: ["Kale"] },
+          }),
+        }),
+      ],
+    });
+  const sheet = new MemorySpreadsheet().insertSheet("Food");
+  render(sheet, tree(), { anchor: "B2" });
+  sheet.getRange("B2").setValue("Veg");
+
+  assert.ok(
+    dispatchEdit({ range: sheet.getRange("B2") }, tree, { anchor: "B2" })
+  );
+  const { validation } = sheet.toJSON().cells.C2;
+  assert.strictEqual(
+    validation.toJSON().values[0],
+    `ReaSheet lists ${sheet.getSheetId()}.B2!B2`
+  );
+  assert.strictEqual(sheet.getRange("C2").getValue(), "");
+});
+
+test("size conflicts are returned, or thrown in strict mode", () => {
+  const column = new VStack({
+    children: [
+      new Cell({ type: new Text("a"), style: new Style({ width: 80 }) }),
+      new Cell({ type: new Text("b"), style: new Style({ width: 150 }) }),
+    ],
+  });
+  const sheet = new MemorySpreadsheet().insertSheet("Sizes");
+  const expected = [
+    "Column A has conflicting widths: 80 (A1), 150 (A2); using 150px",
+  ];
+
+  assert.deepStrictEqual(render(sheet, column), expected);
+  assert.deepStrictEqual(renderAll(sheet, [column]), expected);
+  assert.deepStrictEqual(
+    render(sheet, new Cell({ type: new Text("one size") })),
+    []
+  );
+  assert.deepStrictEqual(layout(column).warnings, expected);
+  assert.throws(
+    () => render(sheet, column, { strict: true }),
+    /Column A has conflicting widths/
+  );
+});
+
+test("auto, bounded and fractional sizes", () => {
+  const cell = (text, style) =>
+    new Cell({ type: new Text(text), style: new Style(style) });
+
+  // 19 characters at 10pt, plus the cell's insets
+  const auto = renderToMemory(
+    new VStack({
+      children: [cell("short", { width: "auto" }), cell("a much longer value")],
+    })
+  );
+  assert.deepStrictEqual(auto.toJSON().columnWidths, { 1: 147 });
+
+  const bounded = renderToMemory(
+    new HStack({
+      children: [
+        cell("x", { width: { min: 60 } }),
+        cell("a much longer value than fits", { width: { max: 80 } }),
+        cell("tiny", { width: { min: 10, max: 20 } }),
+      ],
+    })
+  );
+  assert.deepStrictEqual(bounded.toJSON().columnWidths, {
+    1: 60,
+    2: 80,
+    3: 20,
+  });
+
+  // 600px less the fixed column and an unsized one's 100px, split 2:1
+  const spreadsheet = new MemorySpreadsheet();
+  render(
+    spreadsheet.insertSheet("Orders"),
+    new Sheet({
+      name: "Orders",
+      totalWidth: 600,
+      children: new HStack({
+        children: [
+          cell("a", { width: 100 }),
+          cell("b", { width: "2fr" }),
+          cell("c", { width: "1fr" }),
+          cell("d"),
+        ],
+      }),
+    })
+  );
+  assert.deepStrictEqual(
+    spreadsheet.getSheetByName("Orders").toJSON().columnWidths,
+    { 1: 100, 2: 267, 3: 133 }
+  );
+
+  const wrapped = renderToMemory(
+    cell("one two three four five six seven eight nine ten", {
+      width: 80,
+      wrap: WrapStrategy.WRAP,
+      height: "auto",
+    })
+  );
+  assert.ok(wrapped.toJSON().rowHeights[1] > 3 * 21);
+});
+
+test("a fixed size beats a fraction, and a fraction beats auto", () => {
+  const cell = (text, width) =>
+    new Cell({ type: new Text(text), style: new Style({ width }) });
+  const sheet = new MemorySpreadsheet().insertSheet("Sizes");
+
+  assert.deepStrictEqual(
+    render(
+      sheet,
+      new VStack({
+        children: [cell("a", "auto"), cell("b", "1fr"), cell("c", 70)],
+      })
+    ),
+    [
+      'Column A has conflicting widths: "auto" (A1), "1fr" (A2), 70 (A3); using 70px',
+    ]
+  );
+  assert.deepStrictEqual(sheet.toJSON().columnWidths, { 1: 70 });
+
+  assert.deepStrictEqual(
+    render(
+      sheet,
+      new VStack({ children: [cell("a", "auto"), cell("b", "1fr")] })
+    ),
+    ['Column A has conflicting widths: "auto" (A1), "1fr" (A2); using 1fr']
+  );
+  assert.deepStrictEqual(sheet.toJSON().columnWidths, { 1: 100 });
+});
+
+test("strict mode reports every problem with its path and writes nothing", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Strict");
+  const column = new VStack({
+    children: [
+      new Cell({ type: new Text("a"), rowSpan: 0 }),
+      new Cell({ type: new Text("b"), style: { backgroundColor: "#fff" } }),
+      new Cell({ type: new NumberCell("12") }),
+      new Cell({
+        type: new Text("c"),
+        style: new Style({ backgroud: "#fff" }),
+      }),
+      new Cell({ type: new Checkbox("yes") }),
+      "oops",
+    ],
+  });
+  const roots = [
+    { root: column, anchor: "C1" },
+    { root: new Cell({ type: new Text("x") }), anchor: "B2" },
+    { root: new Cell({ type: new Text("z"), colSpan: 2 }), anchor: "A2" },
+  ];
+
+  assert.throws(
+    () => renderAll(sheet, roots, { strict: true }),
+    (error) => {
+      assert.match(error.message, /^Strict layout found 7 problems:/);
+      assert.deepStrictEqual(error.problems, [
+        {
+          path: "VStack > Cell[0]",
+          message: "rowSpan must be a positive integer, got 0",
+        },
+        {
+          path: "VStack > Cell[1]",
+          message:
+            "style is a plain object; use new Style({ ... }) or style.merge({ ... })",
+        },
+        {
+          path: "VStack > Cell[2]",
+          message: 'NumberCell value must be a finite number, got "12"',
+        },
+        {
+          path: "VStack > Cell[3]",
+          message: 'style has unknown key "backgroud"',
+        },
+        {
+          path: "VStack > Cell[4]",
+          message: 'Checkbox value must be a boolean, got "yes"',
+        },
+        { path: "VStack > String[5]", message: '"oops" is not a component' },
+        { path: "Cell", message: "spans B2, already occupied by Cell" },
+      ]);
+      return true;
+    }
+  );
+  assert.deepStrictEqual(sheet.toJSON().cells, {});
+});
+
+test("dividers run between children, not between every row", () => {
+  const sheet = renderToMemory(
+    new VStack({
+      dividers: { horizontal: { color: "#999999" } },
+      children: [
+        new Cell({ type: new Text("tall"), rowSpan: 2 }),
+        new Cell({ type: new Text("short") }),
+      ],
+    })
+  );
+  const { cells } = sheet.toJSON();
+
+  assert.strictEqual(cells.A1.border?.bottom, undefined);
+  assert.strictEqual(cells.A2.border.bottom.color, "#999999");
+  assert.strictEqual(cells.A3.border.top.color, "#999999");
+});
+
+test("debug renders paint a scratch sheet, leaving the layout alone", () => {
+  const spreadsheet = new MemorySpreadsheet();
+  const sheet = spreadsheet.insertSheet("Orders");
+  render(sheet, orders(), { debug: true });
+
+  const scratch = spreadsheet.getSheetByName("ReaSheet debug Orders");
+  assert.strictEqual(scratch.getRange("A2").getValue(), "Alpha");
+  const { cells } = scratch.toJSON();
+  assert.match(cells.A1.note, /^Table A1:C3/);
+  assert.ok(cells.A1.border.top);
+  assert.strictEqual(sheet.toJSON().cells.A1.note, undefined);
+  assert.strictEqual(sheet.toJSON().cells.A1.border, undefined);
+});
+
+test("validation builders map to Sheets criteria", () => {
+  const start = new Date(2024, 0, 1);
+  const end = new Date(2024, 11, 31);
+  const rules = [
+    Validation.number({ min: 0, max: 100, reject: true, helpText: "pct" }),
+    Validation.number({ min: 1 }),
+    Validation.number(),
+    Validation.textLength({ max: 10 }),
+    Validation.textLength({ min: 2, max: 5 }),
+    Validation.regex(/^[A-Z]"/),
+    Validation.email(),
+    Validation.date({ after: "today" }),
+    Validation.date({ onOrAfter: start, onOrBefore: end }),
+    Validation.inRange("label"),
+  ];
+  const sheet = renderToMemory(
+    new HStack({
+      children: [
+        new Cell({ key: "label", type: new Text("x") }),
+        ...rules.map(
+          (validation) => new Cell({ type: new Text(""), validation })
+        ),
+      ],
+    })
+  );
+  const { cells } = sheet.toJSON();
+  const rule = (a1) => cells[a1].validation.toJSON();
+
+  assert.deepStrictEqual(rule("B1"), {
+    criteria: "NUMBER_BETWEEN",
+    values: [0, 100],
+    allowInvalid: false,
+    helpText: "pct",
+  });
+  assert.deepStrictEqual(rule("C1"), {
+    criteria: "NUMBER_GREATER_THAN_OR_EQUAL_TO",
+    values: [1],
+  });
+  assert.deepStrictEqual(rule("D1").values, ["=ISNUMBER(D1)"]);
+  assert.deepStrictEqual(rule("E1").values, ["=LEN(E1) <= 10"]);
+  assert.deepStrictEqual(rule("F1").values, [
+    "=AND(LEN(F1) >= 2, LEN(F1) <= 5)",
+  ]);
+  assert.deepStrictEqual(rule("G1").values, [
+    '=REGEXMATCH(TO_TEXT(G1), "^[A-Z]""")',
+  ]);
+  assert.strictEqual(rule("H1").criteria, "TEXT_IS_VALID_EMAIL");
+  assert.deepStrictEqual(rule("I1").values, [
+    "=AND(ISNUMBER(I1), I1 > TODAY())",
+  ]);
+  assert.strictEqual(rule("J1").criteria, "DATE_BETWEEN");
+  assert.deepStrictEqual(cells.J1.validation.getCriteriaValues(), [start, end]);
+  assert.deepStrictEqual(rule("K1"), {
+    criteria: "VALUE_IN_RANGE",
+    values: [`${sheet.getName()}!A1`, true],
+  });
+  assert.throws(() => Validation.textLength(), /needs a min or a max/);
+});
+
+test("builds Sheets API requests offline", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Orders");
+  const { requests } = buildBatchUpdate(
+    sheet,
+    new Cell({
+      type: new Text("Boxed"),
+      colSpan: 2,
+      style: new Style({ border: Border.all("#000000") }),
+      conditionalFormats: [
+        ConditionalFormat.textContains(
+          "x",
+          new Style({ backgroundColor: "#ff0000" })
+        ),
+      ],
+    })
+  );
+  const kinds = requests.map((request) => Object.keys(request)[0]);
+
+  assert.strictEqual(kinds[0], "unmergeCells");
+  assert.ok(kinds.indexOf("mergeCells") > 0);
+  assert.ok(kinds.includes("updateCells"));
+  assert.ok(kinds.includes("updateBorders"));
+  assert.ok(kinds.includes("addConditionalFormatRule"));
+});
+
+test("the api backend takes CSS color names", () => {
+  const sheet = new MemorySpreadsheet().insertSheet("Colors");
+  const { requests } = buildBatchUpdate(
+    sheet,
+    new Cell({
+      type: new Text("Sky"),
+      style: new Style({
+        backgroundColor: "lightblue",
+        font: { color: "DarkSlateGray" },
+      }),
+    })
+  );
+  const { userEnteredFormat } = requests.find((r) => r.updateCells).updateCells
+    .rows[0].values[0];
+
+  assert.deepStrictEqual(userEnteredFormat.backgroundColorStyle, {
+    rgbColor: { red: 173 / 255, green: 216 / 255, blue: 230 / 255 },
+  });
+  assert.deepStrictEqual(
+    userEnteredFormat.textFormat.foregroundColorStyle.rgbColor,
+    { red: 47 / 255, green: 79 / 255, blue: 79 / 255 }
+  );
+  assert.throws(
+    () =>
+      buildBatchUpdate(
+        sheet,
+        new Cell({ style: new Style({ backgroundColor: "notacolor" }) })
+      ),
+    /must be a hex code or a CSS color name/
+  );
+});
+
+test("a chunked render matches a one-shot render", () => {
+  global.buildChunkedOrders = () =>
+    new Sheet({
+      name: "Chunked",
+      children: orders(
+        Array.from({ length: 12 }, (_, i) => ({
+          name: `Item ${i}`,
+          qty: i,
+          done: i % 2 === 0,
+        }))
+      ),
+    });
+  try {
+    assert.strictEqual(
+      renderChunked("buildChunkedOrders", { bandRows: 4, maxRuntime: -1 }),
+      false
+    );
+    let finished = false;
+    for (let i = 0; i < 10 && !finished; i++) {
+      const [trigger] = MemoryScriptApp.getProjectTriggers();
+      finished = continueChunkedRender({ triggerUid: trigger.getUniqueId() });
+    }
+
+    assert.ok(finished);
+    assert.strictEqual(MemoryScriptApp.getProjectTriggers().length, 0);
+    const sheet =
+      MemorySpreadsheetApp.getActiveSpreadsheet().getSheetByName("Chunked");
+    assert.strictEqual(
+      withoutIds(sheet.toJSON()),
+      withoutIds(renderToMemory(global.buildChunkedOrders()).toJSON())
+    );
+  } finally {
+    delete global.buildChunkedOrders;
+  }
+});
+
+test("a chunked render finalizes in its own execution when over budget", () => {
+  global.buildChunkedNote = () =>
+    new Sheet({
+      name: "Chunked note",
+      children: new Cell({
+        type: new Text("Boxed"),
+        style: new Style({ border: Border.all("#000000") }),
+      }),
+    });
+  try {
+    renderChunked("buildChunkedNote", { maxRuntime: -1 });
+    const sheet =
+      MemorySpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+        "Chunked note"
+      );
+    assert.strictEqual(sheet.getRange("A1").getValue(), "Boxed");
+    assert.strictEqual(sheet.toJSON().cells.A1.border, undefined);
+
+    assert.strictEqual(continueChunkedRender({ triggerUid: "unknown" }), false);
+    const [trigger] = MemoryScriptApp.getProjectTriggers();
+    assert.ok(continueChunkedRender({ triggerUid: trigger.getUniqueId() }));
+    assert.ok(sheet.toJSON().cells.A1.border.top);
+  } finally {
+    delete global.buildChunkedNote;
+  }
+});
+
+test("renders HTML", () => {
+  const html = renderToHtml(
+    new Cell({
+      type: new Text("<b>"),
+      style: new Style({ font: { bold: true } }),
+    })
+  );
+
+  assert.match(html, /&lt;b&gt;/);
+  assert.match(html, /font-weight:\s*bold/);
+});
+
+test("renders a workbook as one HTML table per sheet", () => {
+  const html = renderToHtml(
+    new Workbook({
+      sheets: [
+        new Sheet({ name: "A", children: new Cell({ type: new Text("one") }) }),
+        new Sheet({ name: "B", children: new Cell({ type: new Text("two") }) }),
+      ],
+    })
+  );
+
+  assert.strictEqual(html.length, 2);
+  assert.match(html[0], /^<table.*>one<\/td>/);
+  assert.match(html[1], /^<table.*>two<\/td>/);
+});
+
+test("HTML renders stack outlines and dividers as cell borders", () => {
+  const html = renderToHtml(
+    new HStack({
+      outline: { color: "#000000" },
+      dividers: { vertical: { color: "#999999" } },
+      children: [
+        new Cell({ type: new Text("a"), rowSpan: 2 }),
+        new Cell({ type: new Text("b") }),
+      ],
+    })
+  );
+  const tds = html.match(/<td[^>]*>/g);
+
+  assert.strictEqual(tds.length, 3);
+  assert.match(tds[0], /border-top:1px solid #000000/);
+  assert.match(tds[0], /border-right:1px solid #999999/);
+  assert.match(tds[1], /border-left:1px solid #999999/);
+  assert.match(tds[1], /border-right:1px solid #000000/);
+  // The gap below "b" is boxed in by the outline
+  assert.match(tds[2], /border-bottom:1px solid #000000/);
+  assert.match(tds[2], /border-right:1px solid #000000/);
+});
+
+test("HTML links only keep http, https and mailto URLs", () => {
+  const html = renderToHtml(
+    new HStack({
+      children: [
+        new Cell({ type: new Link("safe", "https://example.com/?a=1&b=2") }),
+        new Cell({ type: new Link("mail", "mailto:ops@example.com") }),
+        new Cell({ type: new Link("evil", "javascript:alert(1)") }),
+      ],
+    })
+  );
+
+  assert.match(html, /<a href="https:\/\/example\.com\/\?a=1&amp;b=2"/);
+  assert.match(html, /<a href="mailto:ops@example\.com"/);
+  assert.doesNotMatch(html, /javascript:/);
+  assert.match(html, />evil</);
+});
+
+test("HTML style attributes are escaped and font families quoted", () => {
+  const html = renderToHtml(
+    new Cell({
+      type: new Text("x"),
+      style: new Style({
+        font: { family: "Open Sans", color: '"><script>' },
+      }),
+    })
+  );
+
+  assert.match(html, /font-family:'Open Sans'/);
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /color:&quot;&gt;&lt;script&gt;/);
+});